@@ -17,40 +17,109 @@
 var RoonApi          = require("node-roon-api"),
     RoonApiSettings  = require('node-roon-api-settings'),
     RoonApiStatus    = require('node-roon-api-status'),
-    RoonApiTransport = require('node-roon-api-transport');
-
-const EXPECTED_CONFIG_REV = 2;
-const ALARM_COUNT = 5;
-
-const ACTION_NONE = -1;
-const ACTION_STOP = 0;
-const ACTION_PLAY = 1;
-const ACTION_TRANSFER = 2;
-const ACTION_STANDBY = 3;
-
-const SUN     = 0;
-const MON     = 1;
-const TUE     = 2;
-const WED     = 3;
-const THU     = 4;
-const FRI     = 5;
-const SAT     = 6;
-const ONCE    = 7;
-const DAILY   = 8;
-const MON_FRI = 9;
-const WEEKEND = 10;
-
-const TRANS_INSTANT    = 0;
-const TRANS_FADING     = 1;
-const TRANS_TRACKBOUND = 2;
+    RoonApiTransport = require('node-roon-api-transport'),
+    RoonApiBrowse    = require('node-roon-api-browse'),
+    migrations       = require('./migrations'),
+    scheduler        = require('./scheduler'),
+    holidays         = require('./holidays'),
+    source           = require('./source'),
+    fade_curve       = require('./fade-curve'),
+    sleep_timer      = require('./sleep-timer'),
+    http_api         = require('./http-api'),
+    mqtt_client      = require('./mqtt-client'),
+    hooks            = require('./hooks'),
+    history          = require('./history'),
+    quiet_hours      = require('./quiet-hours'),
+    waiter_registry  = require('./zone-waiters');
+
+const { parse_time_string, validate_time_string } = require('./time-string');
+const {
+    ACTION_NONE, ACTION_STOP, ACTION_PLAY, ACTION_TRANSFER, ACTION_STANDBY, ACTION_SLEEP, ACTION_VOLUME,
+    SUN, MON, TUE, WED, THU, FRI, SAT,
+    ONCE, DAILY, MON_FRI, WEEKEND,
+    TRANS_INSTANT, TRANS_FADING, TRANS_TRACKBOUND,
+    SOURCE_NONE, SOURCE_QUEUE, SOURCE_PLAYLIST, SOURCE_RADIO, SOURCE_ALBUM, SOURCE_GENRE,
+    CURVE_LINEAR, CURVE_LOGARITHMIC, CURVE_S,
+    UNIT_SECONDS, UNIT_MINUTES,
+    SLEEP_TRACKS, SLEEP_ALBUM, SLEEP_QUEUE, SLEEP_MINUTES,
+    QUIET_LIMIT, QUIET_FADE,
+    CONDITION_ALWAYS, CONDITION_IDLE, CONDITION_PLAYING, CONDITION_PAUSED, CONDITION_UNTOUCHED
+} = require('./constants');
+
+const ADD_ALARM = -1;
+const DELETE_ALARM = "delete";
+const SNOOZE_WINDOW = 5;    // Minutes after (fading) alarm start in which a pause snoozes
+const START_TIMEOUT = 60;   // Seconds a fade in waits for playback to start
+const MAX_EXTRA_ZONES = 5;
+const MAX_VOLUME_LIMITS = 10;
+const MAX_TRANSITION_SECONDS = 600;
+const MAX_TRANSITION_MINUTES = 240;
+const MAX_FADE_STEP = 1000; // Milliseconds between fade steps, at most
+const MAX_SLEEP_TRACKS = 100;
+const MAX_SLEEP_MINUTES = 600;
+const MAX_QUEUE_ITEMS = 1000;
+const SLEEP_MARGIN = 10;    // Seconds a sleep timer may stop early, instead of planning again
+const MAX_GRACE_TIME = 240;
+const VERIFY_TIMEOUT = 30;  // Seconds for a zone to start playing before escalating
+const WAIT_TIMEOUT = 30;    // Seconds for a zone to report a change, before continuing without it
+const TRACK_END_MARGIN = 10;    // Seconds a zone may report the end of a track late
+const WAIT_SNOOZE = "snooze";   // Kind of the waiter that watches for a snoozing pause
+const RUNTIME_FIELDS = ['days_done', 'first_day', 'skip_next', 'skip_time'];
+const ANNOUNCE_TIME = 5;    // Minutes before firing that an alarm is announced over MQTT
+const MAX_HOOK_TIME = 120;
+const MAX_STEPS = 5;
+const MAX_STEP_DELAY = 720;
+const MAX_UNTOUCHED_MINUTES = 1440;
+const OWN_CHANGE_WINDOW = 10;   // Seconds in which zone changes are the result of our own transport calls
+const HISTORY_DAYS = 7;     // Days summarized in the status
+const HISTORY_SAVE_DELAY = 5;   // Seconds to collect history events before saving them together
+const MAX_TIMEOUT = 0x7fffffff; // Milliseconds, setTimeout fires right away on longer delays
+
+// Escalation steps, taken in order when a zone doesn't start playing
+const STEP_NONE = 0;
+const STEP_RETRY = 1;
+const STEP_FALLBACK = 2;
+const STEP_BACKUP = 3;
+
+const CUSTOM_DAYS = -1;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_FIELDS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Alarm fields that only exist to build the settings layout, they are not stored
+const LAYOUT_FIELDS = ['day_selection', 'extra_zone_count', 'sleep_extend', 'step_count', 'routine_cancel'].concat(DAY_FIELDS);
+const LAYOUT_FIELD_PATTERN = /^(extra_(zone|volume)|step_(delay|action|zone|volume))_\d+$/;
+const GLOBAL_LAYOUT_FIELD_PATTERN = /^limit_(count|\d+_(zone|volume))$/;
 
 var core = undefined;
 var transport = undefined;
-var waiting_zones = {};
+var browse = undefined;
+var zone_waiters = waiter_registry.create_registry();
 var pending_alarms = [];
 var timeout_id = [];
-var interval_id = [];
-var fade_volume = [];
+var pre_alarm_ids = [];
+var fades = [];
+var snooze_id = [];
+var snooze_time = [];
+var snooze_count = [];
+var sleeps = [];
+var missed_alarms = [];
+var verify_id = [];
+var reports = [];
+var routines = [];
+var alarm_keys = [];
+var next_alarm_key = 0;
+var paired_callbacks = [];
+var zone_activity = {};
+var own_changes = {};
+var alarm_history = [];
+var history_save_id = null;
+var http_server = undefined;
+var http_address = undefined;
+var mqtt = undefined;
+var mqtt_config = undefined;
+var fire_state = undefined;
+var skip_dates = [];
 
 var roon = new RoonApi({
     extension_id:        'com.theappgineer.alarm-clock',
@@ -63,6 +132,7 @@ var roon = new RoonApi({
     core_paired: function(core_) {
         core = core_;
         transport = core.services.RoonApiTransport;
+        browse = core.services.RoonApiBrowse;
         transport.subscribe_zones((response, msg) => {
             let zones = [];
 
@@ -79,56 +149,69 @@ var roon = new RoonApi({
 
             if (zones) {
                 zones.forEach(function(zone) {
-                    const on_match = waiting_zones[zone.zone_id];
-
-                    if (on_match && on_match.properties) {
-                        let match = false;
-
-                        if (on_match.properties.now_playing) {
-                            const seek_position = on_match.properties.now_playing.seek_position;
-
-                            // Sometimes a seek_position is missed by the API, allow 1 off
-                            match = (seek_position != undefined && zone.now_playing &&
-                                     (seek_position == zone.now_playing.seek_position ||
-                                      seek_position + 1 == zone.now_playing.seek_position));
-                        }
-                        if (!match) {
-                            const play_allowed = on_match.properties.is_play_allowed;
-                            const pause_allowed = on_match.properties.is_pause_allowed;
-                            const state = on_match.properties.state;
-
-                            match = ((play_allowed != undefined && play_allowed == zone.is_play_allowed) ||
-                                     (pause_allowed != undefined && pause_allowed == zone.is_pause_allowed) ||
-                                     (state != undefined && state == zone.state));
-                        }
-                        if (match) {
-                            if (on_match.cb) {
-                                on_match.cb(zone);
-                            }
-                            delete waiting_zones[zone.zone_id];
-                        }
-                    }
+                    track_zone_activity(zone, response == "Changed");
+                    zone_waiters.zone_changed(zone);
                 });
             }
+
+            if (response == "Subscribed") {
+                // Zones are known from here on, catch up on what happened while unpaired
+                resume_fades();
+                fire_missed_alarms();
+                run_paired_callbacks();
+            }
         });
     },
     core_unpaired: function(core_) {
         core = undefined;
         transport = undefined;
+        browse = undefined;
+
+        // Zone ids stay the same, waiters continue after pairing again
+        suspend_fades();
     }
 });
 
-var wake_settings = roon.load_config("settings") || {
-    selected_timer: 0
-};
+var wake_settings = load_settings();
+
+// Calls cb once the zone matches the properties, returns the waiter (see zone-waiters.js)
+function on_zone_property_changed(zone_id, properties, cb, options) {
+    return zone_waiters.add(zone_id, properties, cb, options);
+}
+
+// Fallbacks of waiters that time out while unpaired run once the zones are known again
+function when_paired(cb) {
+    if (core) {
+        cb();
+    } else {
+        paired_callbacks.push(cb);
+    }
+}
+
+function run_paired_callbacks() {
+    const callbacks = paired_callbacks;
+
+    paired_callbacks = [];
+    callbacks.forEach((cb) => cb());
+}
+
+// Alarms below a deleted alarm move up, a timer callback gets the index of its alarm at the time
+// it runs. Nothing is called for a deleted alarm.
+function track_index(index, cb) {
+    const key = alarm_keys[index];
 
-function on_zone_property_changed(zone_id, properties, cb) {
-    waiting_zones[zone_id] = { properties: properties, cb: cb };
+    return function(...args) {
+        const current_index = alarm_keys.indexOf(key);
+
+        if (current_index >= 0) {
+            cb(current_index, ...args);
+        }
+    };
 }
 
 function makelayout(settings) {
     var l = {
-        values:    settings,
+        values:    null,
         layout:    [],
         has_error: false
     };
@@ -139,32 +222,36 @@ function makelayout(settings) {
         setting: "selected_timer"
     };
 
-    for (let i = 0; i < ALARM_COUNT; i++) {
-        selector.values.push({
-            title: get_alarm_title(settings, i),
-            value: i
-        });
+    if (settings.selected_timer == ADD_ALARM) {
+        // Append a new alarm and select it
+        settings.selected_timer = settings.alarms.length;
+        settings.alarms.push(create_alarm());
     }
+
     l.layout.push(selector);
 
+    // Build ahead, the volumes of the alarm are checked against the limits
+    const limits_group = make_limits_group(settings, l);
+
     let i = settings.selected_timer;
+    let alarm = settings.alarms[i];
     let group = {
         type:        "group",
         items:       [],
     };
-    group.title = selector.values[i].title;
 
     group.items.push({
         type:    "dropdown",
         title:   "Timer",
         values:  [
-            { title: "Disabled", value: false },
-            { title: "Enabled",  value: true  }
+            { title: "Disabled", value: false        },
+            { title: "Enabled",  value: true         },
+            { title: "Delete",   value: DELETE_ALARM }
         ],
-        setting: "timer_active_" + i
+        setting: "active_" + i
     });
 
-    if (settings["timer_active_" + i]) {
+    if (alarm.active === true) {
         let v = {
             type:    "zone",
             title:   "Zone",
@@ -172,15 +259,15 @@ function makelayout(settings) {
         };
         group.items.push(v);
 
-        let zone = settings["zone_" + i];
+        let zone = alarm.zone;
         let current_volume = null;
 
         if (zone) {
             // Get volume information from output
             current_volume = get_current_volume_by_output_id(zone.output_id);
 
-            if (current_volume && settings["wake_volume_" + i] == null) {
-                settings["wake_volume_" + i] = current_volume.max;
+            if (current_volume && alarm.volume == null) {
+                alarm.volume = current_volume.max;
             }
         }
 
@@ -191,62 +278,123 @@ function makelayout(settings) {
                 { title: "Play",     value: ACTION_PLAY     },
                 { title: "Stop",     value: ACTION_STOP     },
                 { title: "Standby",  value: ACTION_STANDBY  },
-                { title: "Transfer", value: ACTION_TRANSFER }
+                { title: "Transfer", value: ACTION_TRANSFER },
+                { title: "Sleep",    value: ACTION_SLEEP    }
             ],
-            setting: "wake_action_" + i
+            setting: "action_" + i
         });
 
-        v = {
-            type:    "dropdown",
-            title:   "Day(s)",
-            values:  [
-                { title: "Once",               value: ONCE    },
-                { title: "Daily",              value: DAILY   },
-                { title: "Monday till Friday", value: MON_FRI },
-                { title: "Weekend",            value: WEEKEND },
-                { title: "Sunday",             value: SUN },
-                { title: "Monday",             value: MON },
-                { title: "Tuesday",            value: TUE },
-                { title: "Wednesday",          value: WED },
-                { title: "Thursday",           value: THU },
-                { title: "Friday",             value: FRI },
-                { title: "Saturday",           value: SAT }
-            ],
-            setting: "wake_day_" + i
-        };
-        group.items.push(v);
+        let action = alarm.action;
 
-        v = {
-            type:    "string",
-            title:   "Alarm Time",
-            setting: "wake_time_" + i
-        };
-        group.items.push(v);
+        if (action == ACTION_SLEEP) {
+            // A sleep timer starts on save and runs once
+            alarm.days = ONCE;
+            alarm.repeat = false;
+            add_sleep_items(group, alarm, i, l);
+        } else {
+            v = {
+                type:    "dropdown",
+                title:   "Day(s)",
+                values:  [
+                    { title: "Once",               value: ONCE        },
+                    { title: "Daily",              value: DAILY       },
+                    { title: "Monday till Friday", value: MON_FRI     },
+                    { title: "Weekend",            value: WEEKEND     },
+                    { title: "Sunday",             value: 1 << SUN    },
+                    { title: "Monday",             value: 1 << MON    },
+                    { title: "Tuesday",            value: 1 << TUE    },
+                    { title: "Wednesday",          value: 1 << WED    },
+                    { title: "Thursday",           value: 1 << THU    },
+                    { title: "Friday",             value: 1 << FRI    },
+                    { title: "Saturday",           value: 1 << SAT    },
+                    { title: "Custom",             value: CUSTOM_DAYS }
+                ],
+                setting: "day_selection_" + i
+            };
 
-        const day = settings["wake_day_" + i];
-        let allow_rel_timer = 0;
+            if (alarm.day_selection == null) {
+                const preset = v.values.find((entry) => entry.value == alarm.days);
 
-        if (day == ONCE) {
-            // 'Once' implies no repeat
-            settings["repeat_" + i] = false;
-            allow_rel_timer = 1;
-            v.title += " (use '+' for relative alarm)";
-        }
+                alarm.day_selection = (preset ? alarm.days : CUSTOM_DAYS);
+            }
+            group.items.push(v);
 
-        let valid_time = validate_time_string(settings["wake_time_" + i], allow_rel_timer);
+            if (alarm.day_selection == CUSTOM_DAYS) {
+                let days = 0;
 
-        if (valid_time) {
-            settings["wake_time_" + i] = valid_time.friendly;
-        } else {
-            if (allow_rel_timer) {
-                v.error = "Time should conform to format: [+]hh:mm[am|pm]";
+                // List the days starting on Monday
+                for (let j = 1; j <= 7; j++) {
+                    const day = j % 7;
+                    const field = DAY_FIELDS[day];
+
+                    if (alarm[field] == null) {
+                        alarm[field] = (alarm.days & (1 << day)) != 0;
+                    }
+
+                    v = {
+                        type:    "dropdown",
+                        title:   DAY_NAMES[day],
+                        values:  [
+                            { title: "No",  value: false },
+                            { title: "Yes", value: true  }
+                        ],
+                        setting: field + "_" + i
+                    };
+                    group.items.push(v);
+
+                    if (alarm[field]) {
+                        days |= (1 << day);
+                    }
+                }
+
+                if (days == 0) {
+                    v.error = "Select at least one day.";
+                    l.has_error = true;
+                }
+
+                alarm.days = days;
             } else {
-                v.error = "Time should conform to format: hh:mm[am|pm]";
+                alarm.days = alarm.day_selection;
+            }
+
+            v = {
+                type:    "string",
+                title:   "Alarm Time",
+                setting: "time_" + i
+            };
+            group.items.push(v);
+
+            let allow_rel_timer = 0;
+
+            if (alarm.days == ONCE) {
+                // 'Once' implies no repeat
+                alarm.repeat = false;
+                allow_rel_timer = 1;
+                v.title += " (use '+' or 'in' for relative alarm)";
+            }
+
+            let valid_time = parse_time_string(alarm.time, allow_rel_timer);
+
+            if (valid_time.error) {
+                v.error = valid_time.error;
+                l.has_error = true;
+            } else {
+                alarm.time = valid_time.friendly;
+
+                if (valid_time.sun && !get_location(settings)) {
+                    v.error = "Set the Location to use sunrise and sunset times.";
+                    l.has_error = true;
+                }
+            }
+
+            if (alarm.days == ONCE) {
+                add_date_item(group, alarm, i, l, valid_time, get_location(settings));
+            } else {
+                alarm.date = "";
             }
-            l.has_error = true;
         }
 
-        let action = settings["wake_action_" + i];
+        const days = alarm.days;
 
         if ((action == ACTION_PLAY || action == ACTION_TRANSFER) && current_volume) {
             let v = {
@@ -254,17 +402,128 @@ function makelayout(settings) {
                 min:     current_volume.min,
                 max:     current_volume.max,
                 title:   "Volume",
-                setting: "wake_volume_" + i
+                setting: "volume_" + i
             };
-            let volume = settings["wake_volume_" + i];
+            let volume = alarm.volume;
             if (current_volume.type == "db") {
                 v.title += " (dB)"
             }
             if (volume < v.min || volume > v.max) {
                 v.error = "Wake Volume must be between " + v.min + " and " + v.max + ".";
                 l.has_error = true;
+            } else {
+                // The volume of a transfer is set on the zone transferred to
+                const limit_zone = (action == ACTION_TRANSFER ? alarm.transfer_zone : zone);
+                const limit = (limit_zone ? get_volume_limit(settings, limit_zone.output_id) : null);
+
+                if (limit != null && volume > limit) {
+                    v.error = "Wake Volume exceeds the Volume Limit of " + limit + " for " + limit_zone.name + ".";
+                    l.has_error = true;
+                }
+            }
+            group.items.push(v);
+        }
+
+        if (action != ACTION_TRANSFER) {
+            v = {
+                type:    "integer",
+                min:     0,
+                max:     MAX_EXTRA_ZONES,
+                title:   "Additional Zones",
+                setting: "extra_zone_count_" + i
+            };
+
+            if (alarm.extra_zone_count == null) {
+                alarm.extra_zone_count = alarm.extra_zones.length;
+            }
+
+            let extra_zone_count = +alarm.extra_zone_count;
+            if (extra_zone_count < v.min || extra_zone_count > v.max) {
+                v.error = "Additional Zones must be between " + v.min + " and " + v.max + ".";
+                l.has_error = true;
+                extra_zone_count = 0;
             }
             group.items.push(v);
+
+            let extra_zones = [];
+            let output_ids = (zone ? [zone.output_id] : []);
+
+            for (let n = 1; n <= extra_zone_count; n++) {
+                const zone_field = "extra_zone_" + n;
+                const volume_field = "extra_volume_" + n;
+
+                if (alarm[zone_field] === undefined) {
+                    const extra = alarm.extra_zones[n - 1];
+
+                    alarm[zone_field] = (extra ? extra.zone : null);
+                    alarm[volume_field] = (extra ? extra.volume : null);
+                }
+
+                const extra_zone = alarm[zone_field];
+
+                v = {
+                    type:    "zone",
+                    title:   "Zone " + (n + 1),
+                    setting: zone_field + "_" + i
+                };
+                if (!extra_zone) {
+                    v.error = "Select a zone or lower the number of Additional Zones.";
+                    l.has_error = true;
+                } else if (output_ids.includes(extra_zone.output_id)) {
+                    v.error = "Zone is already part of this alarm.";
+                    l.has_error = true;
+                } else {
+                    output_ids.push(extra_zone.output_id);
+                }
+                group.items.push(v);
+
+                if (action == ACTION_PLAY && extra_zone) {
+                    const extra_volume = get_current_volume_by_output_id(extra_zone.output_id);
+
+                    if (extra_volume) {
+                        if (alarm[volume_field] == null) {
+                            alarm[volume_field] = extra_volume.max;
+                        }
+
+                        v = {
+                            type:    "integer",
+                            min:     extra_volume.min,
+                            max:     extra_volume.max,
+                            title:   "Zone " + (n + 1) + " Volume",
+                            setting: volume_field + "_" + i
+                        };
+                        let volume = alarm[volume_field];
+                        if (extra_volume.type == "db") {
+                            v.title += " (dB)"
+                        }
+                        const limit = get_volume_limit(settings, extra_zone.output_id);
+                        if (volume < v.min || volume > v.max) {
+                            v.error = "Volume must be between " + v.min + " and " + v.max + ".";
+                            l.has_error = true;
+                        } else if (limit != null && volume > limit) {
+                            v.error = "Volume exceeds the Volume Limit of " + limit + " for " + extra_zone.name + ".";
+                            l.has_error = true;
+                        }
+                        group.items.push(v);
+                    }
+                }
+
+                extra_zones.push({ zone: extra_zone, volume: alarm[volume_field] });
+            }
+
+            alarm.extra_zones = extra_zones;
+
+            if (action == ACTION_PLAY && extra_zones.length) {
+                group.items.push({
+                    type:    "dropdown",
+                    title:   "Multiple Zones",
+                    values:  [
+                        { title: "Group (synchronized)", value: true  },
+                        { title: "Parallel",             value: false }
+                    ],
+                    setting: "group_zones_" + i
+                });
+            }
         }
 
         let transitions = {
@@ -299,25 +558,132 @@ function makelayout(settings) {
         if (transitions.values.length > 1) {
             group.items.push(transitions);
 
-            if (settings["transition_type_" + i] != TRANS_INSTANT) {
+            if (alarm.transition_type != TRANS_INSTANT) {
+                group.items.push({
+                    type:    "dropdown",
+                    title:   "Transition Time Unit",
+                    values:  [
+                        { title: "Seconds", value: UNIT_SECONDS },
+                        { title: "Minutes", value: UNIT_MINUTES }
+                    ],
+                    setting: "transition_unit_" + i
+                });
+
+                const seconds = (alarm.transition_unit == UNIT_SECONDS);
                 v = {
                     type:    "integer",
                     min:     0,
-                    max:     30,
+                    max:     (seconds ? MAX_TRANSITION_SECONDS : MAX_TRANSITION_MINUTES),
                     title:   "Transition Time",
                     setting: "transition_time_" + i
                 };
-                let trans_time = settings["transition_time_" + i];
+                let trans_time = alarm.transition_time;
                 if (trans_time < v.min || trans_time > v.max) {
-                    v.error = "Transition Time must be between " + v.min + " and " + v.max + " minutes.";
+                    v.error = "Transition Time must be between " + v.min + " and " + v.max +
+                              (seconds ? " seconds." : " minutes.");
+                    l.has_error = true;
+                }
+                group.items.push(v);
+
+                if (alarm.transition_type == TRANS_FADING) {
+                    group.items.push({
+                        type:    "dropdown",
+                        title:   "Fade Curve",
+                        values:  [
+                            { title: "Linear",                   value: CURVE_LINEAR      },
+                            { title: "Logarithmic (perceptual)", value: CURVE_LOGARITHMIC },
+                            { title: "S-Curve",                  value: CURVE_S           }
+                        ],
+                        setting: "fade_curve_" + i
+                    });
+
+                    if (action == ACTION_PLAY) {
+                        v = {
+                            type:    "integer",
+                            min:     0,
+                            max:     100,
+                            title:   "Fade Start Volume (% of range)",
+                            setting: "start_level_" + i
+                        };
+                        let start_level = alarm.start_level;
+                        if (start_level < v.min || start_level > v.max) {
+                            v.error = "Fade Start Volume must be between " + v.min + " and " + v.max + "%.";
+                            l.has_error = true;
+                        }
+                        group.items.push(v);
+                    }
+                }
+            }
+        }
+
+        if (action == ACTION_PLAY) {
+            group.items.push({
+                type:    "dropdown",
+                title:   "Source",
+                values:  [
+                    { title: "Queue (resume)",  value: SOURCE_QUEUE    },
+                    { title: "Playlist",        value: SOURCE_PLAYLIST },
+                    { title: "Internet Radio",  value: SOURCE_RADIO    },
+                    { title: "Album",           value: SOURCE_ALBUM    },
+                    { title: "Genre (shuffle)", value: SOURCE_GENRE    }
+                ],
+                setting: "source_" + i
+            });
+
+            if (alarm.source != SOURCE_QUEUE) {
+                v = {
+                    type:    "string",
+                    title:   "Source Name (as shown in Roon)",
+                    setting: "source_name_" + i
+                };
+                if (!alarm.source_name || !alarm.source_name.trim()) {
+                    v.error = "Enter the name of the item to play.";
+                    l.has_error = true;
+                }
+                group.items.push(v);
+            }
+
+            add_fallback_items(group, alarm, i, l, settings);
+
+            v = {
+                type:    "integer",
+                min:     0,
+                max:     10,
+                title:   "Max Snoozes (pause playback to snooze)",
+                setting: "max_snoozes_" + i
+            };
+            let max_snoozes = alarm.max_snoozes;
+            if (max_snoozes < v.min || max_snoozes > v.max) {
+                v.error = "Max Snoozes must be between " + v.min + " and " + v.max + ".";
+                l.has_error = true;
+            }
+            group.items.push(v);
+
+            if (max_snoozes > 0) {
+                v = {
+                    type:    "integer",
+                    min:     1,
+                    max:     60,
+                    title:   "Snooze Time",
+                    setting: "snooze_time_" + i
+                };
+                let snooze_time = alarm.snooze_time;
+                if (snooze_time < v.min || snooze_time > v.max) {
+                    v.error = "Snooze Time must be between " + v.min + " and " + v.max + " minutes.";
                     l.has_error = true;
                 }
                 group.items.push(v);
             }
         }
 
+        if (action != ACTION_SLEEP) {
+            add_condition_items(group, alarm, i, l);
+            add_hook_items(group, alarm, i, l);
+            add_step_items(group, alarm, i, l, settings);
+        }
+
         // Hide repeat for 'Once'
-        if (day != ONCE) {
+        if (days != ONCE) {
             v = {
                 type:    "dropdown",
                 title:   "Repeat",
@@ -328,639 +694,3079 @@ function makelayout(settings) {
                 setting: "repeat_" + i
             };
             group.items.push(v);
+
+            v = {
+                type:    "dropdown",
+                title:   "Skip Next Occurrence",
+                values:  [
+                    { title: "No",  value: false },
+                    { title: "Yes", value: true  }
+                ],
+                setting: "skip_next_" + i
+            };
+            group.items.push(v);
+        } else {
+            alarm.skip_next = false;
+        }
+
+        if (!alarm.skip_next) {
+            // The occurrence to skip gets determined when scheduling
+            alarm.skip_time = null;
         }
     }
 
     l.layout.push(group);
 
-    return l;
-}
-
-function set_defaults(settings, index, force) {
-    if (force || settings["timer_active_" + index] == null) {
-        settings["timer_active_"    + index] = false;
-        settings["zone_"            + index] = null;
-        settings["wake_action_"     + index] = ACTION_PLAY;
-        settings["wake_day_"        + index] = ONCE;
-        settings["wake_time_"       + index] = "07:00";
-        settings["wake_volume_"     + index] = null;
-        settings["transition_type_" + index] = TRANS_INSTANT;
-        settings["transition_time_" + index] = "0";
-        settings["transfer_zone_"   + index] = null;
-        settings["repeat_"          + index] = false;
+    let holiday_group = {
+        type:  "group",
+        title: "Holidays (skipped by recurring alarms)",
+        items: []
+    };
+    let v = {
+        type:    "string",
+        title:   "Skip Dates (yyyy-mm-dd[..yyyy-mm-dd] [reason], ...)",
+        setting: "skip_dates"
+    };
+    const parsed = holidays.parse_skip_dates(settings.skip_dates);
+    if (parsed.error) {
+        v.error = parsed.error;
+        l.has_error = true;
+    }
+    holiday_group.items.push(v);
 
-        return true;
+    v = {
+        type:    "string",
+        title:   "Holiday Calendar (path to .ics file)",
+        setting: "holiday_file"
+    };
+    const loaded = holidays.load_skip_dates("", settings.holiday_file);
+    if (loaded.error) {
+        v.error = loaded.error;
+        l.has_error = true;
     }
+    holiday_group.items.push(v);
 
-    return false;
-}
+    l.layout.push(holiday_group);
 
-function validate_config(settings) {
-    const config_rev = settings["config_rev"];
-    let corrected = false;
+    let location_group = {
+        type:  "group",
+        title: "Location (for sunrise and sunset times)",
+        items: []
+    };
+    const coordinates = [
+        { setting: "latitude",  title: "Latitude (degrees, north positive)",  max: 90  },
+        { setting: "longitude", title: "Longitude (degrees, east positive)",  max: 180 }
+    ];
+    coordinates.forEach(function(coordinate) {
+        const value = settings[coordinate.setting];
 
-    for (let i = 0; i < ALARM_COUNT; i++) {
-        if ((corrected = set_defaults(settings, i)) == false) {
-            // Check for configuration updates
-            switch (config_rev) {
-                case undefined:
-                    // Update to configuration revision 1
-                    const wake_time = "" + settings["wake_time_hours_" + i] +
-                                      ":" + settings["wake_time_minutes_" + i];
+        v = {
+            type:    "string",
+            title:   coordinate.title,
+            setting: coordinate.setting
+        };
+        if (value.trim() && !(Math.abs(value) <= coordinate.max)) {
+            v.error = "Enter a number between -" + coordinate.max + " and " + coordinate.max + ".";
+            l.has_error = true;
+        }
+        location_group.items.push(v);
+    });
 
-                    settings["wake_time_" + i] = wake_time;
-                    corrected = true;
-                    break;
-                case 1:
-                    const fade_time = settings["fade_time_" + i];
+    l.layout.push(location_group);
+    l.layout.push(limits_group);
 
-                    settings["transition_type_" + i] = (fade_time > 0 ? TRANS_FADING : TRANS_INSTANT);
-                    settings["transition_time_" + i] = fade_time;
+    let quiet_group = {
+        type:  "group",
+        title: "Quiet Hours (gentler Play alarms)",
+        items: []
+    };
+    v = {
+        type:    "string",
+        title:   "Quiet Hours (hh:mm-hh:mm, ...)",
+        setting: "quiet_hours"
+    };
+    const quiet = quiet_hours.parse_quiet_hours(settings.quiet_hours);
+    if (quiet.error) {
+        v.error = quiet.error;
+        l.has_error = true;
+    }
+    quiet_group.items.push(v);
 
-                    // Cleanup obsolete settings
-                    delete settings["wake_time_hours_" + i];
-                    delete settings["wake_time_minutes_" + i];
-                    delete settings["fade_time_" + i];
+    if (settings.quiet_hours.trim()) {
+        quiet_group.items.push({
+            type:    "dropdown",
+            title:   "During Quiet Hours",
+            values:  [
+                { title: "Limit Volume", value: QUIET_LIMIT },
+                { title: "Fade In",      value: QUIET_FADE  }
+            ],
+            setting: "quiet_mode"
+        });
 
-                    corrected = true;
-                    break;
-                case EXPECTED_CONFIG_REV:
-                    // This is the expected configuration revision
-                    break;
-                default:
-                    // Configuration is too new, we have to revert to the defaults of this revision
-                    corrected = set_defaults(settings, i, true);
-                    break;
+        if (settings.quiet_mode == QUIET_FADE) {
+            v = {
+                type:    "integer",
+                min:     1,
+                max:     MAX_TRANSITION_MINUTES,
+                title:   "Minimum Fade Time (minutes)",
+                setting: "quiet_fade_time"
+            };
+            let quiet_fade_time = settings.quiet_fade_time;
+            if (quiet_fade_time < v.min || quiet_fade_time > v.max) {
+                v.error = "Minimum Fade Time must be between " + v.min + " and " + v.max + " minutes.";
+                l.has_error = true;
+            }
+        } else {
+            v = {
+                type:    "integer",
+                min:     0,
+                max:     100,
+                title:   "Max Volume (% of range)",
+                setting: "quiet_volume"
+            };
+            let quiet_volume = settings.quiet_volume;
+            if (quiet_volume < v.min || quiet_volume > v.max) {
+                v.error = "Max Volume must be between " + v.min + " and " + v.max + "%.";
+                l.has_error = true;
             }
         }
+        quiet_group.items.push(v);
     }
 
-    settings["config_rev"] = EXPECTED_CONFIG_REV;
-
-    return corrected;
-}
+    l.layout.push(quiet_group);
 
-function get_alarm_title(settings, index) {
-    const active = settings["timer_active_" + index];
-    const zone = settings["zone_" + index];
-    const day = settings["wake_day_" + index];
-    let valid_time = validate_time_string(settings["wake_time_" + index], day == ONCE);
-    let title;
+    v = {
+        type:    "integer",
+        min:     0,
+        max:     MAX_GRACE_TIME,
+        title:   "Grace Time (minutes)",
+        setting: "grace_time"
+    };
+    let grace_time = settings.grace_time;
+    if (grace_time < v.min || grace_time > v.max) {
+        v.error = "Grace Time must be between " + v.min + " and " + v.max + " minutes.";
+        l.has_error = true;
+    }
+    l.layout.push({
+        type:  "group",
+        title: "Missed Alarms (fired late when the Core was unreachable)",
+        items: [ v ]
+    });
 
-    if (active && zone && valid_time) {
-        const day_string = [
-            " on Sunday",               // SUN
-            " on Monday",               // MON
-            " on Tueday",               // TUE
-            " on Wednesday",            // WED
-            " on Thursday",             // THU
-            " on Friday",               // FRI
-            " on Saturday",             // SAT
-            "",                         // ONCE
-            " daily",                   // DAILY
-            " on Monday till Friday",   // MON_FRI
-            " in weekend"               // WEEKEND
-        ];
-        const action = settings["wake_action_" + index];
-        const transfer_zone = settings["transfer_zone_" + index];
-        let repeat_string = "";
-        let action_string = get_action_string(action);
+    let http_group = {
+        type:  "group",
+        title: "HTTP API",
+        items: []
+    };
+    v = {
+        type:    "integer",
+        min:     0,
+        max:     65535,
+        title:   "Port (0 disables the API)",
+        setting: "http_port"
+    };
+    let http_port = settings.http_port;
+    if (http_port < v.min || http_port > v.max) {
+        v.error = "Port must be between " + v.min + " and " + v.max + ".";
+        l.has_error = true;
+    }
+    http_group.items.push(v);
 
-        if (settings["repeat_" + index]) {
-            switch (day) {
-                case ONCE:
-                case DAILY:
-                    break;
-                case MON_FRI:
-                    repeat_string = " (weekly)";
-                    break;
-                default:
-                    repeat_string = "s";    // Append 's' to day
-                    break;
-            }
-        } else if (day == MON_FRI || day == DAILY) {
-            repeat_string = " (this week)";
+    if (http_port > 0) {
+        v = {
+            type:    "string",
+            title:   "Address (127.0.0.1 for local access only)",
+            setting: "http_host"
+        };
+        if (!settings.http_host || !settings.http_host.trim()) {
+            v.error = "Enter the address to listen on.";
+            l.has_error = true;
         }
+        http_group.items.push(v);
+    }
 
-        title = zone.name + ": " + action_string + day_string[day] + repeat_string;
+    l.layout.push(http_group);
 
-        if (action == ACTION_TRANSFER && transfer_zone) {
-            title += " to " + transfer_zone.name;
+    let mqtt_group = {
+        type:  "group",
+        title: "MQTT (alarm events and commands)",
+        items: [{
+            type:    "string",
+            title:   "Broker URL (mqtt://host:port, empty disables MQTT)",
+            setting: "mqtt_broker"
+        }]
+    };
+
+    if (settings.mqtt_broker) {
+        if (!/^(mqtts?|wss?|tcp|ssl):\/\/\S+$/.test(settings.mqtt_broker)) {
+            mqtt_group.items[0].error = "Enter a URL like mqtt://localhost:1883";
+            l.has_error = true;
         }
 
-        if (valid_time.relative) {
-            title += " in " + (valid_time.hours ? valid_time.hours + "h and " : "");
-            title += valid_time.minutes + "min";
-        } else {
-            title += " @ " + valid_time.friendly;
+        v = {
+            type:    "string",
+            title:   "Base Topic",
+            setting: "mqtt_topic"
+        };
+        if (!settings.mqtt_topic || /[+#]|^\/|\/$/.test(settings.mqtt_topic)) {
+            v.error = "Enter a topic without wildcards and leading or trailing '/'.";
+            l.has_error = true;
         }
-    } else {
-        title = "Alarm " + (index + 1) + " not set";
+        mqtt_group.items.push(v);
+
+        mqtt_group.items.push({
+            type:    "string",
+            title:   "User Name (optional)",
+            setting: "mqtt_user"
+        });
+        mqtt_group.items.push({
+            type:    "string",
+            title:   "Password (optional)",
+            setting: "mqtt_password"
+        });
     }
 
-    return title;
-}
+    l.layout.push(mqtt_group);
 
-function get_action_string(action) {
-    let action_string = "";
+    // Add the titles last, the selected alarm is updated while building its group
+    for (let i = 0; i < settings.alarms.length; i++) {
+        selector.values.push({
+            title: get_alarm_title(settings.alarms[i], i, get_location(settings)),
+            value: i
+        });
+    }
+    selector.values.push({
+        title: "Add new alarm",
+        value: ADD_ALARM
+    });
+    group.title = selector.values[i].title;
 
-    switch (action) {
+    l.values = flatten_settings(settings);
+
+    return l;
+}
+
+function make_limits_group(settings, l) {
+    let group = {
+        type:  "group",
+        title: "Volume Limits (for all alarms)",
+        items: []
+    };
+    let v = {
+        type:    "integer",
+        min:     0,
+        max:     MAX_VOLUME_LIMITS,
+        title:   "Limited Zones",
+        setting: "limit_count"
+    };
+
+    if (settings.limit_count == null) {
+        settings.limit_count = settings.volume_limits.length;
+    }
+
+    let limit_count = +settings.limit_count;
+    if (limit_count < v.min || limit_count > v.max) {
+        v.error = "Limited Zones must be between " + v.min + " and " + v.max + ".";
+        l.has_error = true;
+        limit_count = 0;
+    }
+    group.items.push(v);
+
+    let volume_limits = [];
+    let output_ids = [];
+
+    for (let n = 1; n <= limit_count; n++) {
+        // A trailing number marks an alarm field, keep it in between
+        const zone_field = "limit_" + n + "_zone";
+        const volume_field = "limit_" + n + "_volume";
+
+        if (settings[zone_field] === undefined) {
+            const limit = settings.volume_limits[n - 1];
+
+            settings[zone_field] = (limit ? limit.zone : null);
+            settings[volume_field] = (limit ? limit.volume : null);
+        }
+
+        const limit_zone = settings[zone_field];
+
+        v = {
+            type:    "zone",
+            title:   "Limited Zone " + n,
+            setting: zone_field
+        };
+        if (!limit_zone) {
+            v.error = "Select a zone or lower the number of Limited Zones.";
+            l.has_error = true;
+        } else if (output_ids.includes(limit_zone.output_id)) {
+            v.error = "Zone already has a Volume Limit.";
+            l.has_error = true;
+        } else {
+            output_ids.push(limit_zone.output_id);
+        }
+        group.items.push(v);
+
+        const current_volume = (limit_zone ? get_current_volume_by_output_id(limit_zone.output_id) : null);
+
+        if (current_volume) {
+            if (settings[volume_field] == null) {
+                settings[volume_field] = current_volume.max;
+            }
+
+            v = {
+                type:    "integer",
+                min:     current_volume.min,
+                max:     current_volume.max,
+                title:   "Limited Zone " + n + " Max Volume" + (current_volume.type == "db" ? " (dB)" : ""),
+                setting: volume_field
+            };
+            let volume = settings[volume_field];
+            if (volume < v.min || volume > v.max) {
+                v.error = "Max Volume must be between " + v.min + " and " + v.max + ".";
+                l.has_error = true;
+            }
+            group.items.push(v);
+        }
+
+        volume_limits.push({ zone: limit_zone, volume: settings[volume_field] });
+    }
+
+    settings.volume_limits = volume_limits;
+
+    return group;
+}
+
+function get_volume_limit(settings, output_id) {
+    const limit = settings.volume_limits.find((limit) => limit.zone && limit.zone.output_id == output_id);
+
+    return (limit && limit.volume != null ? +limit.volume : null);
+}
+
+function is_quiet_time() {
+    const quiet = quiet_hours.parse_quiet_hours(wake_settings.quiet_hours);
+
+    return (quiet.windows ? quiet_hours.is_quiet_time(quiet.windows, new Date()) : false);
+}
+
+// The volume within the limit of the zone, during quiet hours Play alarms get the quiet volume as limit
+function get_limited_volume(volume, output_id, action) {
+    const current_volume = get_current_volume_by_output_id(output_id);
+    let limit = get_volume_limit(wake_settings, output_id);
+
+    if (volume == null) {
+        return volume;
+    }
+
+    // The quiet hours volume is a percentage of the volume range, which has to be known
+    if (current_volume && action == ACTION_PLAY && wake_settings.quiet_mode == QUIET_LIMIT && is_quiet_time()) {
+        const range = current_volume.max - current_volume.min;
+        const quiet_limit = current_volume.min + Math.round(range * +wake_settings.quiet_volume / 100);
+
+        limit = (limit == null ? quiet_limit : Math.min(limit, quiet_limit));
+    }
+
+    return (limit != null && volume > limit ? limit : volume);
+}
+
+function add_sleep_items(group, alarm, index, l) {
+    group.items.push({
+        type:    "dropdown",
+        title:   "Sleep Mode",
+        values:  [
+            { title: "After Number of Tracks",  value: SLEEP_TRACKS  },
+            { title: "At End of Album",         value: SLEEP_ALBUM   },
+            { title: "At End of Queue",         value: SLEEP_QUEUE   },
+            { title: "After Number of Minutes", value: SLEEP_MINUTES }
+        ],
+        setting: "sleep_mode_" + index
+    });
+
+    let v = null;
+
+    if (alarm.sleep_mode == SLEEP_TRACKS) {
+        v = {
+            type:    "integer",
+            min:     1,
+            max:     MAX_SLEEP_TRACKS,
+            title:   "Tracks",
+            setting: "sleep_tracks_" + index
+        };
+        let tracks = alarm.sleep_tracks;
+        if (tracks < v.min || tracks > v.max) {
+            v.error = "Tracks must be between " + v.min + " and " + v.max + ".";
+            l.has_error = true;
+        }
+        group.items.push(v);
+    } else if (alarm.sleep_mode == SLEEP_MINUTES) {
+        v = {
+            type:    "integer",
+            min:     1,
+            max:     MAX_SLEEP_MINUTES,
+            title:   "Minutes",
+            setting: "sleep_minutes_" + index
+        };
+        let minutes = alarm.sleep_minutes;
+        if (minutes < v.min || minutes > v.max) {
+            v.error = "Minutes must be between " + v.min + " and " + v.max + ".";
+            l.has_error = true;
+        }
+        group.items.push(v);
+    }
+
+    if (sleeps[index]) {
+        if (alarm.sleep_extend == null) {
+            alarm.sleep_extend = 0;
+        }
+
+        v = {
+            type:    "integer",
+            min:     0,
+            max:     MAX_SLEEP_MINUTES,
+            title:   "Extend Running Sleep Timer (minutes)",
+            setting: "sleep_extend_" + index
+        };
+        let extend = alarm.sleep_extend;
+        if (extend < v.min || extend > v.max) {
+            v.error = "Extension must be between " + v.min + " and " + v.max + " minutes.";
+            l.has_error = true;
+        }
+        group.items.push(v);
+    }
+}
+
+function add_fallback_items(group, alarm, index, l, settings) {
+    group.items.push({
+        type:    "dropdown",
+        title:   "Fallback Source (if playback doesn't start)",
+        values:  [
+            { title: "None",            value: SOURCE_NONE     },
+            { title: "Queue (resume)",  value: SOURCE_QUEUE    },
+            { title: "Playlist",        value: SOURCE_PLAYLIST },
+            { title: "Internet Radio",  value: SOURCE_RADIO    },
+            { title: "Album",           value: SOURCE_ALBUM    },
+            { title: "Genre (shuffle)", value: SOURCE_GENRE    }
+        ],
+        setting: "fallback_source_" + index
+    });
+
+    let v;
+
+    if (alarm.fallback_source != SOURCE_NONE && alarm.fallback_source != SOURCE_QUEUE) {
+        v = {
+            type:    "string",
+            title:   "Fallback Source Name",
+            setting: "fallback_name_" + index
+        };
+        if (!alarm.fallback_name || !alarm.fallback_name.trim()) {
+            v.error = "Enter the name of the item to play.";
+            l.has_error = true;
+        }
+        group.items.push(v);
+    }
+
+    group.items.push({
+        type:    "dropdown",
+        title:   "Backup Zone (if playback doesn't start)",
+        values:  [
+            { title: "Disabled", value: false },
+            { title: "Enabled",  value: true  }
+        ],
+        setting: "backup_" + index
+    });
+
+    if (alarm.backup) {
+        const backup_zone = alarm.backup_zone;
+
+        v = {
+            type:    "zone",
+            title:   "Backup Zone",
+            setting: "backup_zone_" + index
+        };
+        if (!backup_zone) {
+            v.error = "Select a zone or disable the Backup Zone.";
+            l.has_error = true;
+        } else if (alarm.zone && backup_zone.output_id == alarm.zone.output_id) {
+            v.error = "Backup Zone should differ from the Zone.";
+            l.has_error = true;
+        }
+        group.items.push(v);
+
+        const current_volume = (backup_zone ? get_current_volume_by_output_id(backup_zone.output_id) : null);
+
+        if (current_volume) {
+            if (alarm.backup_volume == null) {
+                alarm.backup_volume = current_volume.max;
+            }
+
+            v = {
+                type:    "integer",
+                min:     current_volume.min,
+                max:     current_volume.max,
+                title:   "Backup Zone Volume",
+                setting: "backup_volume_" + index
+            };
+            let volume = alarm.backup_volume;
+            const limit = get_volume_limit(settings, backup_zone.output_id);
+            if (current_volume.type == "db") {
+                v.title += " (dB)"
+            }
+            if (volume < v.min || volume > v.max) {
+                v.error = "Volume must be between " + v.min + " and " + v.max + ".";
+                l.has_error = true;
+            } else if (limit != null && volume > limit) {
+                v.error = "Volume exceeds the Volume Limit of " + limit + " for " + backup_zone.name + ".";
+                l.has_error = true;
+            }
+            group.items.push(v);
+        }
+    }
+}
+
+function create_alarm() {
+    return {
+        active:          false,
+        zone:            null,
+        action:          ACTION_PLAY,
+        days:            ONCE,
+        days_done:       0,
+        first_day:       null,
+        time:            "07:00",
+        volume:          null,
+        transition_type: TRANS_INSTANT,
+        transition_time: "0",
+        transition_unit: UNIT_MINUTES,
+        fade_curve:      CURVE_LINEAR,
+        start_level:     "0",
+        transfer_zone:   null,
+        repeat:          false,
+        max_snoozes:     "0",
+        snooze_time:     "9",
+        skip_next:       false,
+        skip_time:       null,
+        source:          SOURCE_QUEUE,
+        source_name:     "",
+        extra_zones:     [],
+        group_zones:     true,
+        sleep_mode:      SLEEP_MINUTES,
+        sleep_tracks:    "1",
+        sleep_minutes:   "30",
+        fallback_source: SOURCE_NONE,
+        fallback_name:   "",
+        backup:          false,
+        backup_zone:     null,
+        backup_volume:   null,
+        hook:            "",
+        hook_time:       "10",
+        date:            "",
+        steps:           [],
+        condition:       CONDITION_ALWAYS,
+        untouched_time:  "60"
+    };
+}
+
+function add_condition_items(group, alarm, index, l) {
+    group.items.push({
+        type:    "dropdown",
+        title:   "Condition (checked when the alarm fires)",
+        values:  [
+            { title: "Always",                        value: CONDITION_ALWAYS    },
+            { title: "Only if the zone is idle",      value: CONDITION_IDLE      },
+            { title: "Only if the zone is playing",   value: CONDITION_PLAYING   },
+            { title: "Only if the zone is paused",    value: CONDITION_PAUSED    },
+            { title: "Only if the zone is untouched", value: CONDITION_UNTOUCHED }
+        ],
+        setting: "condition_" + index
+    });
+
+    if (alarm.condition == CONDITION_UNTOUCHED) {
+        let v = {
+            type:    "integer",
+            min:     1,
+            max:     MAX_UNTOUCHED_MINUTES,
+            title:   "Untouched For (minutes)",
+            setting: "untouched_time_" + index
+        };
+        let untouched_time = alarm.untouched_time;
+        if (untouched_time < v.min || untouched_time > v.max) {
+            v.error = "Untouched For must be between " + v.min + " and " + v.max + " minutes.";
+            l.has_error = true;
+        }
+        group.items.push(v);
+    }
+}
+
+function add_step_items(group, alarm, index, l, settings) {
+    let v = {
+        type:    "integer",
+        min:     0,
+        max:     MAX_STEPS,
+        title:   "Follow-up Steps",
+        setting: "step_count_" + index
+    };
+
+    if (alarm.step_count == null) {
+        alarm.step_count = alarm.steps.length;
+    }
+
+    let step_count = +alarm.step_count;
+    if (step_count < v.min || step_count > v.max) {
+        v.error = "Follow-up Steps must be between " + v.min + " and " + v.max + ".";
+        l.has_error = true;
+        step_count = 0;
+    }
+    group.items.push(v);
+
+    let steps = [];
+
+    for (let n = 1; n <= step_count; n++) {
+        const fields = {
+            delay:  "step_delay_" + n,
+            action: "step_action_" + n,
+            zone:   "step_zone_" + n,
+            volume: "step_volume_" + n
+        };
+
+        if (alarm[fields.delay] === undefined) {
+            const step = alarm.steps[n - 1] || { delay: "10", action: ACTION_STOP, zone: alarm.zone, volume: null };
+
+            for (const field in fields) {
+                alarm[fields[field]] = step[field];
+            }
+        }
+
+        const action = alarm[fields.action];
+        const step_zone = alarm[fields.zone];
+
+        v = {
+            type:    "integer",
+            min:     0,
+            max:     MAX_STEP_DELAY,
+            title:   "Step " + n + " Delay (minutes after " + (n == 1 ? "the alarm)" : "step " + (n - 1) + ")"),
+            setting: fields.delay + "_" + index
+        };
+        let delay = alarm[fields.delay];
+        if (delay < v.min || delay > v.max) {
+            v.error = "Delay must be between " + v.min + " and " + v.max + " minutes.";
+            l.has_error = true;
+        }
+        group.items.push(v);
+
+        group.items.push({
+            type:    "dropdown",
+            title:   "Step " + n + " Action",
+            values:  [
+                { title: "Play",          value: ACTION_PLAY     },
+                { title: "Stop",          value: ACTION_STOP     },
+                { title: "Standby",       value: ACTION_STANDBY  },
+                { title: "Transfer",      value: ACTION_TRANSFER },
+                { title: "Change Volume", value: ACTION_VOLUME   }
+            ],
+            setting: fields.action + "_" + index
+        });
+
+        v = {
+            type:    "zone",
+            title:   "Step " + n + (action == ACTION_TRANSFER ? " Transfer To" : " Zone"),
+            setting: fields.zone + "_" + index
+        };
+        if (!step_zone) {
+            v.error = "Select a zone or lower the number of Follow-up Steps.";
+            l.has_error = true;
+        } else if (action == ACTION_TRANSFER && alarm.zone && step_zone.output_id == alarm.zone.output_id) {
+            v.error = "Transfer to a zone other than the zone of the alarm.";
+            l.has_error = true;
+        }
+        group.items.push(v);
+
+        const has_volume = (action == ACTION_PLAY || action == ACTION_TRANSFER || action == ACTION_VOLUME);
+        const step_volume = (step_zone && has_volume ?
+                             get_current_volume_by_output_id(step_zone.output_id) : null);
+
+        if (step_volume) {
+            if (alarm[fields.volume] == null) {
+                alarm[fields.volume] = step_volume.max;
+            }
+
+            v = {
+                type:    "integer",
+                min:     step_volume.min,
+                max:     step_volume.max,
+                title:   "Step " + n + " Volume" + (step_volume.type == "db" ? " (dB)" : ""),
+                setting: fields.volume + "_" + index
+            };
+            let volume = alarm[fields.volume];
+            const limit = get_volume_limit(settings, step_zone.output_id);
+            if (volume < v.min || volume > v.max) {
+                v.error = "Volume must be between " + v.min + " and " + v.max + ".";
+                l.has_error = true;
+            } else if (limit != null && volume > limit) {
+                v.error = "Volume exceeds the Volume Limit of " + limit + " for " + step_zone.name + ".";
+                l.has_error = true;
+            }
+            group.items.push(v);
+        }
+
+        steps.push({
+            delay:  alarm[fields.delay],
+            action: action,
+            zone:   step_zone,
+            volume: (step_volume ? alarm[fields.volume] : null)
+        });
+    }
+
+    alarm.steps = steps;
+
+    if (routines[index]) {
+        group.items.push({
+            type:    "dropdown",
+            title:   "Cancel Running Routine",
+            values:  [
+                { title: "No",  value: false },
+                { title: "Yes", value: true  }
+            ],
+            setting: "routine_cancel_" + index
+        });
+
+        if (alarm.routine_cancel == null) {
+            alarm.routine_cancel = false;
+        }
+    }
+}
+
+function add_date_item(group, alarm, i, l, valid_time, location) {
+    let v = {
+        type:    "string",
+        title:   "Date (yyyy-mm-dd, empty for the first occurrence)",
+        setting: "date_" + i
+    };
+    group.items.push(v);
+
+    if (alarm.date && alarm.date.trim()) {
+        const date = holidays.parse_date(alarm.date.trim());
+
+        if (!date) {
+            v.error = "Date should conform to format: yyyy-mm-dd";
+            l.has_error = true;
+        } else if (valid_time.relative) {
+            v.error = "A relative alarm can't have a date.";
+            l.has_error = true;
+        } else {
+            alarm.date = date.getFullYear() + "-" + ("0" + (date.getMonth() + 1)).slice(-2) + "-" +
+                         ("0" + date.getDate()).slice(-2);
+
+            if (!valid_time.error && (!valid_time.sun || location) &&
+                scheduler.next_occurrence(alarm, Date.now(), undefined, location) == null) {
+                v.error = "This date and time have passed.";
+                l.has_error = true;
+            }
+        }
+    } else {
+        alarm.date = "";
+    }
+}
+
+function add_hook_items(group, alarm, i, l) {
+    let v = {
+        type:    "string",
+        title:   "Hook (URL or command, runs before and when the alarm fires)",
+        setting: "hook_" + i
+    };
+    group.items.push(v);
+
+    if (alarm.hook && alarm.hook.trim()) {
+        v = {
+            type:    "integer",
+            min:     0,
+            max:     MAX_HOOK_TIME,
+            title:   "Hook Lead Time (minutes, 0 only runs it when firing)",
+            setting: "hook_time_" + i
+        };
+        if (alarm.hook_time < v.min || alarm.hook_time > v.max) {
+            v.error = "Hook Lead Time must be between " + v.min + " and " + v.max + " minutes.";
+            l.has_error = true;
+        }
+        group.items.push(v);
+    }
+}
+
+function take_routine_cancels(settings) {
+    // Like a sleep extension, a cancel request applies once
+    return settings.alarms.map(function(alarm) {
+        const cancel = (alarm.routine_cancel === true);
+
+        if (alarm.routine_cancel != null) {
+            alarm.routine_cancel = false;
+        }
+
+        return cancel;
+    });
+}
+
+function take_sleep_extensions(settings) {
+    // An extension applies once, the field is cleared for the next save
+    return settings.alarms.map(function(alarm) {
+        const minutes = (alarm.action == ACTION_SLEEP ? +alarm.sleep_extend || 0 : 0);
+
+        if (alarm.sleep_extend != null) {
+            alarm.sleep_extend = 0;
+        }
+
+        return minutes;
+    });
+}
+
+function remove_deleted_alarms(settings) {
+    let deleted = [];
+
+    for (let i = settings.alarms.length - 1; i >= 0; i--) {
+        if (settings.alarms[i].active == DELETE_ALARM) {
+            settings.alarms.splice(i, 1);
+            deleted.push(i);
+        }
+    }
+
+    if (settings.alarms.length == 0) {
+        // Keep a single unset alarm
+        settings.alarms.push(create_alarm());
+    }
+
+    if (settings.selected_timer >= settings.alarms.length) {
+        settings.selected_timer = settings.alarms.length - 1;
+    }
+
+    return deleted;
+}
+
+function flatten_settings(settings) {
+    let values = {};
+
+    for (const key in settings) {
+        if (key != "alarms") {
+            values[key] = settings[key];
+        }
+    }
+
+    // The settings layout can only refer to top level values, suffix each alarm field with its index
+    settings.alarms.forEach(function(alarm, index) {
+        for (const field in alarm) {
+            values[field + "_" + index] = alarm[field];
+        }
+    });
+
+    return values;
+}
+
+function unflatten_settings(values) {
+    let settings = { alarms: [] };
+
+    for (const key in values) {
+        // Field names can contain digits themselves, the index is the last suffix
+        const match = key.match(/^(.+)_(\d+)$/);
+
+        if (match) {
+            const index = +match[2];
+
+            if (!settings.alarms[index]) {
+                settings.alarms[index] = {};
+            }
+            settings.alarms[index][match[1]] = values[key];
+        } else {
+            settings[key] = values[key];
+        }
+    }
+
+    return settings;
+}
+
+function load_settings() {
+    let settings = roon.load_config("settings");
+
+    if (settings && migrations.is_too_new(settings)) {
+        // Keep the alarms of the newer version for when it gets reinstalled
+        const backup = "settings_rev" + settings.config_rev;
+
+        roon.save_config(backup, settings);
+        console.log("Configuration revision " + settings.config_rev + " is too new, backed up as '" +
+                    backup + "' and reverted to defaults");
+        settings = undefined;
+    }
+
+    return settings || {
+        config_rev:     migrations.CONFIG_REV,
+        selected_timer: 0,
+        alarms:         []
+    };
+}
+
+function create_global_settings() {
+    return {
+        skip_dates:      "",
+        holiday_file:    "",
+        grace_time:      "10",
+        latitude:        "",
+        longitude:       "",
+        volume_limits:   [],
+        quiet_hours:     "",
+        quiet_mode:      QUIET_LIMIT,
+        quiet_volume:    "20",
+        quiet_fade_time: "5",
+        http_port:       "0",
+        http_host:       "127.0.0.1",
+        mqtt_broker:     "",
+        mqtt_topic:      "roon/alarm-clock",
+        mqtt_user:       "",
+        mqtt_password:   ""
+    };
+}
+
+function validate_config(settings) {
+    let corrected = migrations.migrate(settings);
+    const global_defaults = create_global_settings();
+
+    for (const key in global_defaults) {
+        if (settings[key] === undefined) {
+            settings[key] = global_defaults[key];
+            corrected = true;
+        }
+    }
+
+    if (settings.alarms.length == 0) {
+        settings.alarms.push(create_alarm());
+        corrected = true;
+    }
+
+    settings.alarms.forEach(function(alarm) {
+        const defaults = create_alarm();
+
+        // Complete alarms with the defaults of settings they don't have yet
+        for (const field in defaults) {
+            if (alarm[field] === undefined) {
+                alarm[field] = defaults[field];
+                corrected = true;
+            }
+        }
+    });
+
+    return corrected;
+}
+
+function get_sun_time_string(alarm, location) {
+    const occurrence = scheduler.next_occurrence(alarm, Date.now(), is_skip_date, location);
+
+    if (occurrence == null) {
+        return "";
+    }
+
+    // The resolved time of the next occurrence
+    const date = new Date(occurrence + scheduler.get_lead_time(alarm));
+
+    return " (" + ("0" + date.getHours()).slice(-2) + ":" + ("0" + date.getMinutes()).slice(-2) + ")";
+}
+
+function get_location(settings) {
+    const latitude = settings.latitude.trim();
+    const longitude = settings.longitude.trim();
+
+    if (latitude && longitude && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+        return { latitude: +latitude, longitude: +longitude };
+    }
+
+    return undefined;
+}
+
+function get_alarm_title(alarm, index, location) {
+    const active = alarm.active;
+    const zone = alarm.zone;
+    const days = alarm.days;
+    let valid_time = validate_time_string(alarm.time, days == ONCE);
+    let title;
+
+    if (active === true && zone && valid_time) {
+        const action = alarm.action;
+        const transfer_zone = alarm.transfer_zone;
+        let day_string = "";
+        let action_string = get_action_string(action);
+
+        if (action == ACTION_PLAY && alarm.source != SOURCE_QUEUE && alarm.source_name) {
+            action_string += " " + alarm.source_name;
+        }
+
+        if (action == ACTION_SLEEP) {
+            day_string = get_sleep_mode_string(alarm);
+        } else if (days == ONCE && alarm.date) {
+            day_string = " on " + alarm.date;
+        } else if (days == DAILY) {
+            day_string = " daily" + (alarm.repeat ? "" : " (this week)");
+        } else if (days != ONCE && (days & (days - 1)) == 0) {
+            // Single day, append 's' to day on repeat
+            day_string = " on " + DAY_NAMES[Math.log2(days)] + (alarm.repeat ? "s" : "");
+        } else if (days != ONCE) {
+            day_string = " on " + get_days_string(days) + (alarm.repeat ? " (weekly)" : " (this week)");
+        }
+
+        title = get_zones_string(alarm) + ": " + action_string + day_string;
+
+        if (action == ACTION_TRANSFER && transfer_zone) {
+            title += " to " + transfer_zone.name;
+        }
+
+        if (action != ACTION_SLEEP) {
+            if (valid_time.relative) {
+                title += " in " + (valid_time.hours ? valid_time.hours + "h and " : "");
+                title += valid_time.minutes + "min";
+                title += (valid_time.seconds ? " and " + valid_time.seconds + "s" : "");
+            } else {
+                title += " @ " + valid_time.friendly;
+
+                if (valid_time.sun) {
+                    // Settings that are being edited can have another location
+                    title += get_sun_time_string(alarm, location || get_location(wake_settings));
+                }
+            }
+        }
+    } else if (active == DELETE_ALARM) {
+        title = "Alarm " + (index + 1) + " will be deleted on save";
+    } else {
+        title = "Alarm " + (index + 1) + " not set";
+    }
+
+    return title;
+}
+
+function get_zones_string(alarm) {
+    let names = [alarm.zone.name];
+
+    if (alarm.action != ACTION_TRANSFER) {
+        alarm.extra_zones.forEach(function(extra) {
+            if (extra.zone) {
+                names.push(extra.zone.name);
+            }
+        });
+    }
+
+    return names.join(" + ");
+}
+
+function get_sleep_mode_string(alarm) {
+    switch (alarm.sleep_mode) {
+        case SLEEP_TRACKS:
+            return " after " + alarm.sleep_tracks + (alarm.sleep_tracks == 1 ? " track" : " tracks");
+        case SLEEP_ALBUM:
+            return " at end of album";
+        case SLEEP_QUEUE:
+            return " at end of queue";
+        case SLEEP_MINUTES:
+        default:
+            return " after " + alarm.sleep_minutes + "min";
+    }
+}
+
+function get_days_string(days) {
+    let runs = [];
+    let run = [];
+
+    // Collect runs of consecutive days, starting the week on Monday
+    for (let i = 1; i <= 8; i++) {
+        const day = i % 7;
+
+        if (i < 8 && (days & (1 << day))) {
+            run.push(DAY_NAMES[day].substring(0, 3));
+        } else if (run.length) {
+            runs.push(run.length > 2 ? run[0] + "-" + run[run.length - 1] : run.join(", "));
+            run = [];
+        }
+    }
+
+    return runs.join(", ");
+}
+
+function get_action_string(action) {
+    let action_string = "";
+
+    switch (action) {
         case ACTION_STANDBY:
             action_string = "Standby";
             break;
         case ACTION_STOP:
-            action_string = "Stop";
+            action_string = "Stop";
+            break;
+        case ACTION_PLAY:
+            action_string = "Play";
+            break;
+        case ACTION_TRANSFER:
+            action_string = "Transfer";
+            break;
+        case ACTION_SLEEP:
+            action_string = "Sleep";
+            break;
+        case ACTION_VOLUME:
+            action_string = "Change Volume";
+            break;
+    }
+
+    return action_string;
+}
+
+function add_pending_alarm(entry) {
+    let i;
+
+    for (i = 0; i < pending_alarms.length; i++) {
+        if (pending_alarms[i].timeout > entry.timeout) {
+            break;
+        }
+    }
+
+    pending_alarms.splice(i, 0, entry);
+}
+
+function remove_pending_alarm(entry) {
+    const i = pending_alarms.indexOf(entry);
+
+    if (i >= 0) {
+        pending_alarms.splice(i, 1);
+    }
+}
+
+function get_pending_alarms_string() {
+    const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    let alarm_string = "";
+
+    for (let i = 0; i < pending_alarms.length; i++) {
+        const date_time = new Date(pending_alarms[i].timeout);
+
+        if (pending_alarms[i].timeout - Date.now() < 6 * 24 * 60 * 60 * 1000) {
+            alarm_string += pending_alarms[i].action + " on " + day[date_time.getDay()];
+        } else {
+            // The weekday alone is ambiguous further ahead
+            alarm_string += pending_alarms[i].action + " on " + date_time.toLocaleDateString();
+        }
+        alarm_string += " @ " + date_time.toLocaleTimeString();
+
+        if (pending_alarms[i].note) {
+            alarm_string += " (" + pending_alarms[i].note + ")";
+        }
+        alarm_string += "\n";
+    }
+
+    if (alarm_string.length) {
+        alarm_string = "Pending Alarms:\n" + alarm_string;
+    } else {
+        alarm_string = "No active Alarms";
+    }
+
+    return alarm_string;
+}
+
+function get_current_volume_by_output_id(output_id) {
+    if (!transport) {
+        // Not paired, nothing is known about the output
+        return null;
+    }
+
+    return get_current_volume(transport.zone_by_output_id(output_id), output_id);
+}
+
+function get_current_volume(zone, output_id) {
+    let volume = null;
+
+    if (zone && zone.outputs) {
+        zone.outputs.forEach(function(output) {
+            if (output.output_id == output_id) {
+                volume = output.volume;
+            }
+        });
+    }
+
+    return volume;
+}
+
+function set_timer(reset) {
+    const now = new Date();
+    let settings = wake_settings;
+    const location = get_location(settings);
+
+    if (reset) {
+        pending_alarms = [];
+
+        // Keep showing the snoozed alarms
+        for (let i = 0; i < settings.alarms.length; i++) {
+            if (snooze_id[i] != null) {
+                add_pending_alarm({ timeout: snooze_time[i], action: get_snooze_string(settings.alarms[i]) });
+            }
+            if (sleeps[i] && sleeps[i].entry) {
+                add_pending_alarm(sleeps[i].entry);
+            }
+            if (routines[i]) {
+                add_pending_alarm(routines[i].entry);
+            }
+        }
+    } else {
+        // Remove expired alarms
+        for (let i = pending_alarms.length - 1; i >= 0; i--) {
+            if (pending_alarms[i].timeout <= now.getTime()) {
+                pending_alarms.splice(0, i + 1);
+                break;
+            }
+        }
+    }
+
+    for (let i = 0; i < settings.alarms.length; i++) {
+        const alarm = settings.alarms[i];
+
+        if (alarm.action == ACTION_SLEEP) {
+            // Sleep timers start when saved, not at an alarm time
+            if (alarm.active === true && alarm.zone) {
+                if (!sleeps[i]) {
+                    start_sleep(alarm, i);
+                }
+            } else {
+                stop_sleep(i);
+            }
+            continue;
+        } else if (sleeps[i]) {
+            stop_sleep(i);
+        }
+
+        if (reset || timeout_id[i] == null) {
+            if (alarm.active && alarm.zone) {
+                const action = alarm.action;
+                // Configuration is already validated at this point
+                let timeout_time = scheduler.next_occurrence(alarm, now, is_skip_date, location);
+                let note = get_skip_note(alarm, now);
+
+                if (alarm.skip_next && timeout_time != null) {
+                    if (alarm.skip_time == null) {
+                        // Remember which occurrence is skipped, also for later rescheduling
+                        alarm.skip_time = timeout_time;
+                        roon.save_config("settings", settings);
+                    }
+
+                    if (timeout_time == alarm.skip_time) {
+                        const date = new Date(timeout_time + scheduler.get_lead_time(alarm));
+
+                        note = DAY_NAMES[date.getDay()].substring(0, 3) + " skipped once";
+                        timeout_time = scheduler.next_occurrence(alarm, timeout_time, is_skip_date, location);
+                    }
+                }
+
+                if (timeout_time == null) {
+                    console.log("Alarm " + (i + 1) + " is skipped for the coming year");
+                    get_fire_state(i).next_time = null;
+
+                    if (timeout_id[i] != null) {
+                        // Clear the timeout of before the skipping
+                        clearTimeout(timeout_id[i]);
+                        timeout_id[i] = null;
+                    }
+                    clear_pre_alarms(i);
+                    continue;
+                }
+
+                // Remembered to fire the alarm late if it gets missed
+                get_fire_state(i).next_time = timeout_time;
+
+                let action_string = get_zones_string(alarm) + ": ";
+                action_string += get_action_string(action);
+
+                add_pending_alarm( { timeout: timeout_time, action: action_string, note: note, index: i } );
+
+                publish_event(i, "scheduled", { fire_time: new Date(timeout_time).toISOString() });
+
+                timeout_time -= Date.now();
+
+                if (timeout_id[i] != null) {
+                    // Clear pending timeout
+                    clearTimeout(timeout_id[i]);
+                }
+
+                if (timeout_time > MAX_TIMEOUT) {
+                    // Too far ahead for a single timeout, schedule again later on
+                    timeout_id[i] = setTimeout(track_index(i, rearm_timer), MAX_TIMEOUT);
+                    clear_pre_alarms(i);
+                } else {
+                    timeout_id[i] = setTimeout(track_index(i, timer_timed_out), timeout_time);
+                    set_pre_alarms(alarm, i, timeout_time);
+                }
+            } else if (timeout_id[i] != null) {
+                // Clear pending timeout
+                clearTimeout(timeout_id[i]);
+                clear_pre_alarms(i);
+                timeout_id[i] = null;
+            }
+
+            if (!alarm.active) {
+                get_fire_state(i).next_time = null;
+            }
+        }
+    }
+
+    save_fire_state();
+
+    update_status();
+}
+
+function is_skip_date(date) {
+    return holidays.find_skip_date(skip_dates, date) != null;
+}
+
+function get_skip_note(alarm, now) {
+    const occurrence = scheduler.next_occurrence(alarm, now, undefined, get_location(wake_settings));
+
+    if (occurrence != null && alarm.days != ONCE) {
+        // Skip dates apply to the configured time, not to the earlier start of fading
+        const date = new Date(occurrence + scheduler.get_lead_time(alarm));
+        const range = holidays.find_skip_date(skip_dates, date);
+
+        if (range) {
+            return DAY_NAMES[date.getDay()].substring(0, 3) + " skipped: " + range.reason;
+        }
+    }
+
+    return undefined;
+}
+
+function load_skip_dates(settings) {
+    const result = holidays.load_skip_dates(settings.skip_dates, settings.holiday_file);
+
+    if (result.error) {
+        console.log(result.error);
+    }
+
+    skip_dates = result.ranges || [];
+}
+
+function timer_timed_out(index) {
+    let alarm = wake_settings.alarms[index];
+
+    timeout_id[index] = null;
+
+    if (core) {
+        fire_alarm(alarm, index);
+    } else {
+        console.log("Alarm " + (index + 1) + " missed, the Core is unpaired");
+        missed_alarms.push({ index: index, time: Date.now() });
+    }
+
+    complete_occurrence(alarm, index, Date.now());
+    set_timer(false);
+}
+
+function rearm_timer(index) {
+    timeout_id[index] = null;
+
+    // Other alarms keep their pending entry, which matters for relative alarms
+    pending_alarms = pending_alarms.filter((entry) => entry.index !== index);
+
+    set_timer(false);
+}
+
+function set_pre_alarms(alarm, index, time_left) {
+    // Relative to the start of fading, like the alarm timer itself
+    const hook_time = +alarm.hook_time * 60 * 1000;
+
+    clear_pre_alarms(index);
+
+    pre_alarm_ids[index].push(setTimeout(track_index(index, announce_alarm),
+                                         Math.max(time_left - ANNOUNCE_TIME * 60 * 1000, 0)));
+
+    if (alarm.hook && hook_time > 0) {
+        pre_alarm_ids[index].push(setTimeout(track_index(index, run_pre_alarm_hook), Math.max(time_left - hook_time, 0)));
+    }
+}
+
+function clear_pre_alarms(index) {
+    pre_alarm_ids[index].forEach((id) => clearTimeout(id));
+    pre_alarm_ids[index] = [];
+}
+
+function announce_alarm(index) {
+    const fire_time = get_fire_state(index).next_time;
+
+    publish_event(index, "about_to_fire", { fire_time: new Date(fire_time).toISOString() });
+}
+
+function run_pre_alarm_hook(index) {
+    const fire_time = get_fire_state(index).next_time;
+
+    if (reports[index].pre_alarm_time == fire_time) {
+        // Already ran for this occurrence, before the alarm got rescheduled
+        return;
+    }
+
+    // The report of the coming firing starts here
+    reports[index] = { lines: [], failed: false, pre_alarm_time: fire_time };
+
+    run_alarm_hook(index, "pre_alarm", fire_time);
+}
+
+function run_alarm_hook(index, event, fire_time) {
+    const alarm = wake_settings.alarms[index];
+    const hook_event = {
+        event:     event,
+        id:        index + 1,
+        title:     get_alarm_title(alarm, index),
+        fire_time: new Date(fire_time).toISOString()
+    };
+    const name = (event == "pre_alarm" ? "Pre-alarm hook" : "Alarm hook");
+
+    hooks.run_hook(alarm.hook.trim(), hook_event, track_index(index, function(index, error) {
+        if (error) {
+            add_report(index, name + " failed: " + error, true);
+        } else {
+            add_report(index, name + " succeeded", false);
+        }
+    }));
+}
+
+function fire_alarm(alarm, index) {
+    const unmet = get_unmet_condition(alarm);
+
+    if (unmet) {
+        // Reports are about the latest firing
+        reports[index] = { lines: [], failed: false };
+        add_report(index, "Skipped, " + unmet, false, "skipped");
+        return;
+    }
+
+    snooze_count[index] = 0;
+
+    log_event(index, "fired", { action: get_action_string(alarm.action), zones: get_zones_string(alarm) });
+
+    if (reports[index].pre_alarm_time == null) {
+        // Reports are about the latest firing
+        reports[index] = { lines: [], failed: false };
+    }
+    reports[index].pre_alarm_time = null;
+
+    if (alarm.hook && alarm.hook.trim()) {
+        run_alarm_hook(index, "fired", Date.now());
+    }
+
+    const targets = get_alarm_targets(alarm);
+
+    if (targets.length > 1 && alarm.action == ACTION_PLAY && alarm.group_zones) {
+        // Group the outputs for synchronized playback, the queue of the first output (primary zone) is kept
+        const outputs = targets.map((target) => target.output).reverse();
+
+        outputs.forEach(note_own_change);
+        transport.group_outputs(outputs, function(error) {
+            if (error) {
+                console.log("Grouping zones failed for alarm " + (index + 1) + ", playing in parallel");
+                targets.forEach((target) => target.lead = true);
+            }
+
+            targets.forEach((target) => fire_target(alarm, target, index));
+        });
+    } else {
+        targets.forEach((target) => fire_target(alarm, target, index));
+    }
+
+    start_routine(alarm, index);
+}
+
+function start_routine(alarm, index) {
+    // Firing again starts the routine over
+    stop_routine(index);
+
+    if (alarm.steps.length) {
+        schedule_step(alarm, index, 0);
+    }
+}
+
+function schedule_step(alarm, index, step_index) {
+    const step = alarm.steps[step_index];
+    const delay = +step.delay * 60 * 1000;
+
+    routines[index] = {
+        step:     step_index,
+        timer_id: setTimeout(track_index(index, run_step), delay, step_index),
+        entry:    {
+            timeout: Date.now() + delay,
+            action:  step.zone.name + ": " + get_action_string(step.action) + " (step " + (step_index + 1) + ")"
+        }
+    };
+
+    add_pending_alarm(routines[index].entry);
+    update_status();
+}
+
+function run_step(index, step_index) {
+    const alarm = wake_settings.alarms[index];
+    const step = alarm.steps[step_index];
+
+    remove_pending_alarm(routines[index].entry);
+    routines[index] = null;
+
+    if (!step) {
+        // Steps got removed in the meantime
+        update_status();
+        return;
+    }
+
+    if (core) {
+        // A step runs like an alarm of its own, with the transition settings of the alarm
+        const step_alarm = Object.assign({}, alarm, {
+            action:          step.action,
+            zone:            (step.action == ACTION_TRANSFER ? alarm.zone : step.zone),
+            transfer_zone:   step.zone,
+            volume:          step.volume,
+            extra_zones:     [],
+            source:          SOURCE_QUEUE,
+            fallback_source: SOURCE_NONE,
+            backup:          false,
+            max_snoozes:     "0"
+        });
+        const target = { output: step_alarm.zone, volume: step.volume, lead: true, primary: true, step: STEP_NONE };
+
+        log_event(index, "step", { step: step_index + 1, action: get_action_string(step.action), zone: step.zone.name });
+        fire_target(step_alarm, target, index);
+    } else {
+        log_event(index, "step", { step: step_index + 1, action: get_action_string(step.action),
+                                   zone: step.zone.name, error: "Core unpaired" }, true);
+    }
+
+    if (step_index + 1 < alarm.steps.length) {
+        schedule_step(alarm, index, step_index + 1);
+    } else {
+        update_status();
+    }
+}
+
+function stop_routine(index) {
+    const routine = routines[index];
+
+    if (routine) {
+        clearTimeout(routine.timer_id);
+        remove_pending_alarm(routine.entry);
+        routines[index] = null;
+    }
+
+    return routine != null;
+}
+
+function cancel_routine(index) {
+    if (stop_routine(index)) {
+        console.log("Routine of alarm " + (index + 1) + " cancelled");
+        log_event(index, "routine_cancelled", {});
+
+        return true;
+    }
+
+    return false;
+}
+
+function mark_day_done(alarm, day) {
+    if (alarm.days_done == 0) {
+        alarm.first_day = day;
+    }
+
+    alarm.days_done |= (1 << day);
+}
+
+function complete_occurrence(alarm, index, time) {
+    let settings = wake_settings;
+
+    if (alarm.skip_next && alarm.skip_time <= time) {
+        if (alarm.repeat == false) {
+            // The skipped day counts as done
+            mark_day_done(alarm, new Date(alarm.skip_time + scheduler.get_lead_time(alarm)).getDay());
+        }
+
+        // The skipped occurrence has passed
+        alarm.skip_next = false;
+        alarm.skip_time = null;
+        roon.save_config("settings", settings);
+    }
+
+    if (alarm.repeat == false) {
+        // A fading alarm can start the day before the configured day
+        const day = new Date(time + scheduler.get_lead_time(alarm)).getDay();
+
+        mark_day_done(alarm, day);
+
+        // Without repeat every selected day fires once, within the week that starts with
+        // the first occurrence of the alarm
+        const first_day = (alarm.first_day != null ? alarm.first_day : day);
+        let later_days = 0;
+
+        for (let later = day + 1; later % 7 != first_day; later++) {
+            later_days |= (1 << (later % 7));
+        }
+
+        if ((alarm.days & ~alarm.days_done & later_days) == 0) {
+            // Disable this timer
+            alarm.active = false;
+            alarm.days_done = 0;
+            alarm.first_day = null;
+
+            log_event(index, "disabled", {});
+        }
+
+        roon.save_config("settings", settings);
+    }
+}
+
+function fire_missed_alarms() {
+    const grace_time = +wake_settings.grace_time * 60 * 1000;
+    const now = Date.now();
+
+    missed_alarms.forEach(function(missed) {
+        const alarm = wake_settings.alarms[missed.index];
+        const time_string = new Date(missed.time).toLocaleString();
+
+        if (alarm && alarm.zone) {
+            const details = { scheduled: new Date(missed.time).toISOString() };
+
+            if (now - missed.time <= grace_time) {
+                console.log("Alarm " + (missed.index + 1) + " of " + time_string + " fired late");
+                log_event(missed.index, "fired_late", details);
+                fire_alarm(alarm, missed.index);
+            } else {
+                console.log("Alarm " + (missed.index + 1) + " of " + time_string + " skipped, past the grace time");
+                log_event(missed.index, "missed", details, true);
+            }
+        }
+    });
+
+    missed_alarms = [];
+}
+
+function find_missed_alarms() {
+    const now = Date.now();
+
+    // Alarms that should have fired while the extension wasn't running
+    wake_settings.alarms.forEach(function(alarm, index) {
+        const next_time = get_fire_state(index).next_time;
+
+        if (next_time != null && next_time <= now &&
+            alarm.active === true && alarm.zone && alarm.action != ACTION_SLEEP) {
+            console.log("Alarm " + (index + 1) + " missed, the extension wasn't running");
+            missed_alarms.push({ index: index, time: next_time });
+            complete_occurrence(alarm, index, next_time);
+        }
+    });
+}
+
+function get_alarm_targets(alarm) {
+    // Grouped outputs only follow the volume, playback is started from the primary zone
+    const grouped = (alarm.action == ACTION_PLAY && alarm.group_zones);
+    let targets = [];
+
+    if (alarm.action != ACTION_TRANSFER) {
+        alarm.extra_zones.forEach(function(extra) {
+            if (extra.zone) {
+                targets.push({ output: extra.zone, volume: extra.volume, lead: !grouped, step: STEP_NONE });
+            }
+        });
+    }
+
+    // Last, to have the volume of the other outputs set before playback starts
+    targets.push({ output: alarm.zone, volume: alarm.volume, lead: true, primary: true, step: STEP_NONE });
+
+    return targets;
+}
+
+function fire_target(alarm, target, index) {
+    const output = target.output;
+    let zone = transport.zone_by_output_id(output.output_id);
+
+    note_own_change(output);
+
+    if (zone) {
+        const action = alarm.action;
+        let postponed = false;
+
+        if (zone.state == 'playing') {
+            const trans_time = (alarm.transition_type == TRANS_TRACKBOUND ?
+                                scheduler.get_transition_time(alarm) / 1000 : 0);
+            const now_playing = zone.now_playing;
+
+            if (trans_time > 0 && now_playing && (action == ACTION_STOP || action == ACTION_STANDBY)) {
+                const length = now_playing.length;
+                // The next track starting, or playback ending, marks the end of the track
+                const properties = [
+                    { now_playing:     { seek_position: 0 } },
+                    { state:           'stopped' },
+                    { is_play_allowed: true }
+                ];
+
+                if (length && (length - now_playing.seek_position < trans_time)) {
+                    const seconds_left = length - now_playing.seek_position;
+
+                    on_zone_property_changed(zone.zone_id, properties, function(zone, index) {
+                        control(alarm, zone, target, index);
+                    }, {
+                        index:      index,
+                        timeout:    seconds_left + TRACK_END_MARGIN,
+                        on_timeout: function(index) {
+                            console.log("End of track not reported by " + output.name + ", stopping anyway");
+                            control_output(alarm, target, index);
+                        }
+                    });
+
+                    log_event(index, "postponed", { zone: output.name, seconds_left: seconds_left });
+                    postponed = true;
+                }
+            }
+        } else if (action == ACTION_PLAY && target.lead && alarm.source == SOURCE_QUEUE &&
+                   !zone.is_play_allowed && zone.is_previous_allowed) {
+            // Start off with previous track
+            play_from_previous(zone, output, index, function(zone, index) {
+                control(alarm, zone, target, index);
+            }, (index) => control_output(alarm, target, index));
+
+            postponed = true;
+        }
+
+        if (!postponed) {
+            control(alarm, zone, target, index);
+        }
+    }
+}
+
+// For a queue that can't be played, start off with the previous track. Calls cb once the zone can play,
+// or on_timeout if it doesn't report so.
+function play_from_previous(zone, output, index, cb, on_timeout) {
+    transport.control(output, 'previous', function(error) {
+        if (error) {
+            on_timeout(index);
+        } else {
+            on_zone_property_changed(zone.zone_id, { is_play_allowed: true }, function(zone, index) {
+                cb(zone, index);
+
+                // Turn radio function on to keep the music going
+                transport.change_settings(zone, { auto_radio: true });
+            }, {
+                index:      index,
+                timeout:    WAIT_TIMEOUT,
+                on_timeout: on_timeout
+            });
+        }
+    });
+}
+
+function control_output(alarm, target, index) {
+    // Fallback for a zone that didn't report what we waited for, continue with its current state
+    when_paired(track_index(index, function(index) {
+        const zone = transport.zone_by_output_id(target.output.output_id);
+
+        if (zone) {
+            control(alarm, zone, target, index);
+        }
+    }));
+}
+
+function control(alarm, zone, target, index) {
+    const output = target.output;
+    let fade_time = (alarm.transition_type == TRANS_FADING ?
+                     scheduler.get_transition_time(alarm) : 0);
+    const current_volume = get_current_volume(zone, output.output_id);
+    // A sleep timer ends as a stop alarm
+    let action = (alarm.action == ACTION_SLEEP ? ACTION_STOP : alarm.action);
+    let end_volume = target.volume;
+
+    note_own_change(output);
+
+    if (action == ACTION_PLAY || action == ACTION_TRANSFER || action == ACTION_VOLUME) {
+        // The volume of a transfer is set on the zone transferred to
+        const volume_output = (action == ACTION_TRANSFER ? alarm.transfer_zone : output);
+
+        end_volume = get_limited_volume(target.volume, volume_output.output_id, action);
+
+        if (end_volume != target.volume) {
+            console.log("Volume of alarm " + (index + 1) + " limited to " + end_volume + " on " + volume_output.name);
+            log_event(index, "volume_limited", { zone: volume_output.name, volume: target.volume, limit: end_volume });
+        }
+    }
+
+    if (action == ACTION_PLAY && wake_settings.quiet_mode == QUIET_FADE && is_quiet_time()) {
+        // Quiet hours turn the alarm into a slow fade in
+        fade_time = Math.max(fade_time, +wake_settings.quiet_fade_time * 60 * 1000);
+    }
+
+    if (action != ACTION_VOLUME) {
+        // We take over the zone, a pause from here on isn't a snooze of an earlier alarm
+        zone_waiters.cancel({ zone_id: zone.zone_id, kind: WAIT_SNOOZE });
+    }
+
+    if (fade_time > 0 && current_volume && action != ACTION_TRANSFER) {
+        // Take care of fading
+        let start_volume;
+
+        if (zone.state == 'playing' || action == ACTION_VOLUME) {
+            start_volume = current_volume.value;
+        } else if (action == ACTION_PLAY) {
+            const range = current_volume.max - current_volume.min;
+
+            start_volume = current_volume.min + Math.round(range * +alarm.start_level / 100);
+        } else {
+            start_volume = current_volume.min;
+        }
+
+        if (action == ACTION_STANDBY || action == ACTION_STOP) {
+            end_volume = current_volume.min;
+        }
+
+        if (end_volume != start_volume) {
+            start_fade(index, output, start_volume, end_volume, fade_time, 0, zone.state == 'playing', action);
+            log_event(index, "fade_started", { zone: output.name, start_volume: start_volume,
+                                               end_volume: end_volume, duration: fade_time / 1000 });
+
+            if (zone.state == 'playing' &&
+                (action == ACTION_STANDBY || action == ACTION_STOP)) {
+                // Remain playing during fade out
+                action = ACTION_NONE;
+            }
+
+            end_volume = start_volume;
+        }
+    }
+
+    switch (action) {
+        case ACTION_PLAY:
+            // Set wake volume, even if already playing
+            if (end_volume != null) {
+                transport.change_volume(output, "absolute", end_volume);
+            }
+
+            if (target.lead) {
+                if (zone.state != 'playing') {
+                    start_playback(alarm, zone, target, index);
+                }
+
+                verify_playback(alarm, zone, target, index);
+            }
+            break;
+        case ACTION_STOP:
+            if (zone.state == 'playing') {
+                transport.control(output, zone.is_pause_allowed ? 'pause' : 'stop');
+            }
+            break;
+        case ACTION_VOLUME:
+            if (end_volume != null) {
+                transport.change_volume(output, "absolute", end_volume);
+            }
+            break;
+        case ACTION_STANDBY:
+            transport.standby(output, {}, function(error) {
+                if (error) {
+                    console.log("Output doesn't support standby");
+                    log_event(index, "standby_failed", { zone: output.name });
+
+                    if (zone.state == 'playing') {
+                        transport.control(output, zone.is_pause_allowed ? 'pause' : 'stop');
+                    }
+                }
+            });
+            break;
+        case ACTION_TRANSFER:
+            const transfer_zone = alarm.transfer_zone;
+
+            // Set volume for the zone we transfer to
+            note_own_change(transfer_zone);
+            transport.change_volume(transfer_zone, "absolute", end_volume);
+            transport.transfer_zone(output, transfer_zone);
+            break;
+        case ACTION_NONE:
+        default:
+            break;
+    }
+}
+
+function start_playback(alarm, zone, target, index) {
+    const output = target.output;
+    const fallback = (target.step == STEP_FALLBACK);
+    const play_source = (fallback ? alarm.fallback_source : alarm.source);
+    const play_name = (fallback ? alarm.fallback_name : alarm.source_name);
+    const play = function() {
+        transport.control(output, 'play', function(error) {
+            if (error) {
+                add_report(index, output.name + " refused to play (" + error + ")", true);
+            }
+        });
+    };
+
+    if (play_source != SOURCE_QUEUE && browse) {
+        source.play_source(browse, output.output_id, play_source, play_name, function(error) {
+            if (error) {
+                const zone = (core ? transport.zone_by_output_id(output.output_id) : undefined);
+
+                console.log("Alarm source not played, resuming queue instead: " + error);
+
+                if (zone && !zone.is_play_allowed && zone.is_previous_allowed) {
+                    // Same as for an alarm that plays the queue
+                    play_from_previous(zone, output, index, play, play);
+                } else {
+                    play();
+                }
+            }
+        });
+    } else {
+        play();
+    }
+}
+
+function verify_playback(alarm, zone, target, index) {
+    const output = target.output;
+    const zone_id = zone.zone_id;
+    const on_playing = function(zone, index) {
+        stop_verify(index, output.output_id);
+        check_volume(zone, target, index);
+
+        if (target.step != STEP_NONE) {
+            add_report(index, output.name + " is playing", false);
+        }
+        if (target.primary) {
+            watch_for_snooze(alarm, zone, index);
+        }
+    };
+
+    if (zone.state == 'playing') {
+        on_playing(zone, index);
+    } else {
+        stop_verify(index, output.output_id);
+        verify_id[index][output.output_id] = on_zone_property_changed(zone_id, { state: 'playing' }, on_playing, {
+            index:      index,
+            timeout:    VERIFY_TIMEOUT,
+            on_timeout: function(index) {
+                delete verify_id[index][output.output_id];
+                when_paired(track_index(index, (index) => escalate(alarm, target, index)));
+            }
+        });
+    }
+}
+
+function check_volume(zone, target, index) {
+    const output = target.output;
+    const current_volume = get_current_volume(zone, output.output_id);
+    const volume = get_limited_volume(target.volume, output.output_id, ACTION_PLAY);
+
+    // A fade manages the volume by itself
+    if (current_volume && volume != null && !fades[index][output.output_id] &&
+        Math.abs(current_volume.value - volume) > 1) {
+        add_report(index, output.name + " volume is " + current_volume.value + " instead of " +
+                   volume + ", set again", false);
+        note_own_change(output);
+        transport.change_volume(output, "absolute", volume);
+    }
+}
+
+function get_next_step(alarm, target) {
+    for (let step = target.step + 1; step <= STEP_BACKUP; step++) {
+        switch (step) {
+            case STEP_RETRY:
+                return step;
+            case STEP_FALLBACK:
+                if (alarm.fallback_source != SOURCE_NONE) {
+                    return step;
+                }
+                break;
+            case STEP_BACKUP:
+                if (target.primary && alarm.backup && alarm.backup_zone) {
+                    return step;
+                }
+                break;
+        }
+    }
+
+    return null;
+}
+
+function escalate(alarm, target, index) {
+    const step = get_next_step(alarm, target);
+    const failure = target.output.name + " didn't start playing";
+    let next = Object.assign({}, target, { step: step });
+
+    switch (step) {
+        case STEP_RETRY:
+            add_report(index, failure + ", retrying", true);
             break;
-        case ACTION_PLAY:
-            action_string = "Play";
+        case STEP_FALLBACK:
+            add_report(index, failure + ", playing the fallback source", true);
             break;
-        case ACTION_TRANSFER:
-            action_string = "Transfer";
+        case STEP_BACKUP:
+            add_report(index, failure + ", switching to " + alarm.backup_zone.name, true);
+            next.output = alarm.backup_zone;
+            next.volume = alarm.backup_volume;
             break;
+        default:
+            add_report(index, failure + ", giving up", true);
+            return;
     }
 
-    return action_string;
+    const zone = transport.zone_by_output_id(next.output.output_id);
+
+    if (zone) {
+        control(alarm, zone, next, index);
+    } else {
+        // Zone isn't available, take the next step
+        escalate(alarm, next, index);
+    }
 }
 
-function add_pending_alarm(entry) {
-    let i;
+function stop_verify(index, output_id) {
+    if (verify_id[index][output_id] != null) {
+        zone_waiters.remove(verify_id[index][output_id]);
+        delete verify_id[index][output_id];
+    }
+}
 
-    for (i = 0; i < pending_alarms.length; i++) {
-        if (pending_alarms[i].timeout > entry.timeout) {
+function add_report(index, text, failed, event) {
+    const line = "Alarm " + (index + 1) + ": " + text;
+
+    console.log(line);
+    reports[index].lines.push(line);
+    reports[index].failed = failed;
+    log_event(index, event || "report", { text: text }, failed);
+}
+
+function note_own_change(output) {
+    own_changes[output.output_id] = Date.now();
+}
+
+function is_own_change(zone) {
+    return zone.outputs.some(function(output) {
+        const time = own_changes[output.output_id];
+
+        return (fades.some((output_fades) => output_fades[output.output_id]) ||
+                (time != null && Date.now() - time < OWN_CHANGE_WINDOW * 1000));
+    });
+}
+
+function track_zone_activity(zone, changed) {
+    const volumes = zone.outputs.map((output) => (output.volume ? output.volume.value : null)).join();
+    const activity = zone_activity[zone.zone_id];
+    // Loading is on its way to playing, or back to where it was
+    const state = (zone.state == 'loading' && activity ? activity.state : zone.state);
+
+    // Playback advancing doesn't count as activity, a change of state or volume does,
+    // unless it is the result of a fade or an alarm of our own
+    if (!activity || activity.state != state || activity.volumes != volumes) {
+        zone_activity[zone.zone_id] = {
+            state:   state,
+            volumes: volumes,
+            time:    (changed && !is_own_change(zone) ? Date.now() : (activity ? activity.time : null))
+        };
+    }
+}
+
+// Why the condition of the alarm isn't met by its zone, null if it is
+function get_unmet_condition(alarm) {
+    const zone = (alarm.zone ? transport.zone_by_output_id(alarm.zone.output_id) : undefined);
+
+    if (!zone) {
+        // Left to the regular handling of an unavailable zone
+        return null;
+    }
+
+    switch (alarm.condition) {
+        case CONDITION_IDLE:
+            if (zone.state == 'playing' || zone.state == 'loading') {
+                return alarm.zone.name + " is playing";
+            }
+            break;
+        case CONDITION_PLAYING:
+            if (zone.state != 'playing') {
+                return alarm.zone.name + " isn't playing";
+            }
+            break;
+        case CONDITION_PAUSED:
+            if (zone.state != 'paused') {
+                return alarm.zone.name + " isn't paused";
+            }
+            break;
+        case CONDITION_UNTOUCHED: {
+            const activity = zone_activity[zone.zone_id];
+            const minutes = (activity && activity.time != null ?
+                             Math.floor((Date.now() - activity.time) / 60000) : null);
+
+            if (minutes != null && minutes < +alarm.untouched_time) {
+                return alarm.zone.name + " was used " + minutes + " minute(s) ago";
+            }
             break;
         }
+        case CONDITION_ALWAYS:
+        default:
+            break;
     }
 
-    pending_alarms.splice(i, 0, entry);
+    return null;
 }
 
-function get_pending_alarms_string() {
-    const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    let alarm_string = "";
+function update_status() {
+    let status = get_pending_alarms_string();
+    let failed = false;
 
-    for (let i = 0; i < pending_alarms.length; i++) {
-        const date_time = new Date(pending_alarms[i].timeout);
+    reports.forEach(function(report) {
+        if (report.lines.length) {
+            status += "\n" + report.lines.join("\n");
+            failed = failed || report.failed;
+        }
+    });
 
-        alarm_string += pending_alarms[i].action + " on " + day[date_time.getDay()];
-        alarm_string += " @ " + date_time.toLocaleTimeString() + "\n";
+    const summary = history.get_summary(alarm_history, Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    if (summary) {
+        status += "\nLast " + HISTORY_DAYS + " days: " + summary;
     }
 
-    if (alarm_string.length) {
-        alarm_string = "Pending Alarms:\n" + alarm_string;
+    svc_status.set_status(status, failed);
+}
+
+function watch_for_snooze(alarm, zone, index) {
+    const max_snoozes = +alarm.max_snoozes;
+
+    if (snooze_count[index] < max_snoozes) {
+        const fade_time = (alarm.transition_type == TRANS_FADING ?
+                           scheduler.get_transition_time(alarm) : 0);
+        const snooze_window = fade_time / 1000 + SNOOZE_WINDOW * 60;
+
+        // Playback has started, watch for the pause that snoozes the alarm
+        on_zone_property_changed(zone.zone_id, { state: 'paused' }, function(zone, index) {
+            snooze(alarm, index);
+        }, { index: index, kind: WAIT_SNOOZE, timeout: snooze_window });
+    }
+}
+
+function snooze(alarm, index) {
+    const timeout_time = +alarm.snooze_time * 60 * 1000;
+
+    if (snooze_id[index] != null) {
+        clearTimeout(snooze_id[index]);
+    }
+
+    snooze_count[index]++;
+    snooze_time[index] = Date.now() + timeout_time;
+    snooze_id[index] = setTimeout(track_index(index, snooze_timed_out), timeout_time);
+
+    console.log("Alarm " + (index + 1) + " snoozed (" + snooze_count[index] + "/" +
+                alarm.max_snoozes + ")");
+    log_event(index, "snoozed", { count: snooze_count[index], max_snoozes: +alarm.max_snoozes });
+
+    add_pending_alarm({ timeout: snooze_time[index], action: get_snooze_string(alarm) });
+    update_status();
+}
+
+function snooze_timed_out(index) {
+    let alarm = wake_settings.alarms[index];
+
+    snooze_id[index] = null;
+
+    if (core) {
+        control_targets(alarm, index);
+    }
+
+    set_timer(false);
+}
+
+function control_targets(alarm, index) {
+    get_alarm_targets(alarm).forEach(function(target) {
+        let zone = transport.zone_by_output_id(target.output.output_id);
+
+        if (zone) {
+            control(alarm, zone, target, index);
+        }
+    });
+}
+
+function get_snooze_string(alarm) {
+    return get_zones_string(alarm) + ": " + get_action_string(ACTION_PLAY) + " (snoozed)";
+}
+
+function take_fade_step(index, output, start_volume, end_volume) {
+    const alarm = wake_settings.alarms[index];
+    const fade = fades[index][output.output_id];
+    // An output that is being grouped can briefly be without zone
+    let zone = transport.zone_by_output_id(output.output_id);
+    const current_volume = get_current_volume(zone, output.output_id);
+    const playing = (zone && zone.state == 'playing');
+
+    note_own_change(output);
+
+    if (playing && !fade.playing) {
+        fade.playing = true;
+
+        // The fade progresses from here on
+        save_fade_state(index, output.output_id);
+    }
+
+    // Detect volume control collisions, allow for 1 step volume set back. The zone may still report
+    // the volume sent before the last one, which for a fade down is the higher one.
+    if (current_volume && current_volume.value - Math.max(fade.volume, fade.previous_volume) > 1) {
+        // Somebody else is turning the knob as well, hands off
+        stop_fade(index, output.output_id);
+        console.log("Fading terminated for alarm " + (index + 1) + " on " + output.name);
+        log_event(index, "fade_terminated", { zone: output.name, volume: current_volume.value });
+    } else if (!playing) {
+        // Postpone fading in case data is still loading, or playback didn't start yet
+        if ((!zone || zone.state != 'loading') &&
+            (fade.playing || Date.now() - fade.begin > START_TIMEOUT * 1000)) {
+            // Playback is stopped manually
+            stop_fade(index, output.output_id);
+            log_event(index, "fade_stopped", { zone: output.name });
+
+            // Restore start volume
+            transport.change_volume(output, "absolute", start_volume);
+        }
+    } else if (fade.volume != end_volume) {
+        // Follow the fade curve, the fade only progresses while playing
+        fade.elapsed += fade.step_time;
+
+        const volume = fade_curve.get_fade_volume(alarm.fade_curve, start_volume, end_volume,
+                                                  fade.elapsed / fade.duration);
+
+        if (volume != fade.volume) {
+            fade.previous_volume = fade.volume;
+            fade.volume = volume;
+            transport.change_volume(output, "absolute", fade.volume);
+        }
     } else {
-        alarm_string = "No active Alarms";
+        // Level reached, clear interval
+        stop_fade(index, output.output_id);
+        log_event(index, "fade_finished", { zone: output.name, volume: end_volume });
+
+        const action = fade.action;
+
+        if (action == ACTION_STOP || action == ACTION_STANDBY || action == ACTION_SLEEP) {
+            // Stop playback
+            transport.control(output, zone.is_pause_allowed ? 'pause' : 'stop');
+
+            const on_stopped = function(index) {
+                // Restore start volume
+                note_own_change(output);
+                transport.change_volume(output, "absolute", start_volume, function(error) {
+                    if (!error && action == ACTION_STANDBY) {
+                        // Switch to standby
+                        transport.standby(output, {}, function(error) {
+                            if (error) {
+                                console.log("Output doesn't support standby");
+                                log_event(index, "standby_failed", { zone: output.name });
+                            }
+                        });
+                    }
+                });
+            };
+
+            on_zone_property_changed(zone.zone_id, { is_play_allowed: true }, (zone, index) => on_stopped(index), {
+                index:      index,
+                timeout:    WAIT_TIMEOUT,
+                on_timeout: (index) => when_paired(track_index(index, on_stopped))
+            });
+        }
     }
+}
 
-    return alarm_string;
+function start_sleep(alarm, index) {
+    let sleep = {
+        end:       Date.now() + +alarm.sleep_minutes * 60 * 1000,
+        last_item: null,
+        extension: 0,
+        entry:     null
+    };
+
+    if (timeout_id[index] != null) {
+        // Pending alarm of before the action changed
+        clearTimeout(timeout_id[index]);
+        clear_pre_alarms(index);
+        timeout_id[index] = null;
+    }
+
+    sleeps[index] = sleep;
+
+    get_sleep_time_left(alarm, index, track_index(index, function(index, time_left) {
+        if (sleeps[index] !== sleep) {
+            // Stopped while planning
+            return;
+        }
+
+        if (time_left == null) {
+            console.log("Sleep timer of alarm " + (index + 1) + " disabled, the end of playback is unknown");
+
+            stop_sleep(index);
+            alarm.active = false;
+            roon.save_config("settings", wake_settings);
+        } else {
+            schedule_sleep(alarm, index, time_left);
+        }
+    }));
 }
 
-function validate_time_string(time_string, allow_relative) {
-    let relative = (time_string.charAt(0) == "+");
+function get_sleep_time_left(alarm, index, cb) {
+    const sleep = sleeps[index];
 
-    if (relative && !allow_relative) {
-        return null;
+    if (alarm.sleep_mode == SLEEP_MINUTES) {
+        cb(sleep.end + sleep.extension - Date.now());
+    } else if (core) {
+        get_queue(alarm.zone, function(items) {
+            const zone = transport.zone_by_output_id(alarm.zone.output_id);
+
+            if (sleep.last_item == null) {
+                // Pin the end to a queue item, for when playback gets paused or skipped
+                sleep.last_item = sleep_timer.get_last_item(alarm.sleep_mode, +alarm.sleep_tracks, items);
+            }
+
+            const time_left = sleep_timer.get_time_left(items, sleep.last_item, zone && zone.now_playing);
+
+            cb(time_left == null ? null : time_left * 1000 + sleep.extension);
+        });
+    } else {
+        cb(null);
+    }
+}
+
+function get_queue(output, cb) {
+    let subscription = undefined;
+    let done = false;
+
+    // A snapshot of the queue is all it takes
+    subscription = transport.subscribe_queue(output, MAX_QUEUE_ITEMS, function(response, msg) {
+        if (!done) {
+            done = true;
+
+            if (subscription) {
+                subscription.unsubscribe();
+            }
+
+            cb(response == "Subscribed" ? msg.items : null);
+        }
+    });
+
+    if (done) {
+        subscription.unsubscribe();
+    }
+}
+
+function schedule_sleep(alarm, index, time_left) {
+    const fade_time = (alarm.transition_type == TRANS_FADING ? scheduler.get_transition_time(alarm) : 0);
+    const sleep = sleeps[index];
+
+    // Fade out in the last part of the time
+    timeout_id[index] = setTimeout(track_index(index, sleep_timed_out), Math.max(time_left - fade_time, 0));
+
+    remove_pending_alarm(sleep.entry);
+    sleep.entry = {
+        timeout: Date.now() + time_left,
+        action:  get_zones_string(alarm) + ": " + get_action_string(ACTION_SLEEP)
+    };
+    add_pending_alarm(sleep.entry);
+    update_status();
+}
+
+function sleep_timed_out(index) {
+    const alarm = wake_settings.alarms[index];
+    const sleep = sleeps[index];
+    const fade_time = (alarm.transition_type == TRANS_FADING ? scheduler.get_transition_time(alarm) : 0);
+
+    timeout_id[index] = null;
+
+    // Plan again, playback might have been paused or skipped in the meantime
+    get_sleep_time_left(alarm, index, track_index(index, function(index, time_left) {
+        if (sleeps[index] !== sleep) {
+            // Stopped while planning
+            return;
+        }
+
+        if (time_left != null && time_left - fade_time > SLEEP_MARGIN * 1000) {
+            schedule_sleep(alarm, index, time_left);
+        } else {
+            stop_sleep(index);
+
+            if (core) {
+                control_targets(alarm, index);
+            }
+
+            // A sleep timer runs once
+            alarm.active = false;
+            roon.save_config("settings", wake_settings);
+        }
+    }));
+}
+
+function extend_sleep(alarm, index, minutes) {
+    const sleep = sleeps[index];
+    const extension = minutes * 60 * 1000;
+
+    sleep.extension += extension;
+
+    if (sleep.entry) {
+        clearTimeout(timeout_id[index]);
+        schedule_sleep(alarm, index, sleep.entry.timeout + extension - Date.now());
+    }
+
+    console.log("Sleep timer of alarm " + (index + 1) + " extended by " + minutes + " minutes");
+}
+
+function stop_sleep(index) {
+    const sleep = sleeps[index];
+
+    if (sleep) {
+        if (timeout_id[index] != null) {
+            clearTimeout(timeout_id[index]);
+            timeout_id[index] = null;
+        }
+
+        sleeps[index] = null;
+        remove_pending_alarm(sleep.entry);
+        update_status();
+    }
+}
+
+function start_fade(index, output, start_volume, end_volume, duration, elapsed, playing, action) {
+    const step_time = Math.min(MAX_FADE_STEP, duration / Math.abs(end_volume - start_volume));
+
+    stop_fade(index, output.output_id);
+
+    // Each output fades on its own, with its own volume range
+    fades[index][output.output_id] = {
+        interval_id:     setInterval(track_index(index, take_fade_step), step_time, output, start_volume, end_volume),
+        output:          output,
+        start_volume:    start_volume,
+        end_volume:      end_volume,
+        volume:          start_volume,
+        previous_volume: start_volume,   // Sent before volume, a zone may still report it
+        playing:         playing,
+        begin:           Date.now(),
+        step_time:       step_time,
+        elapsed:         elapsed,
+        duration:        duration,
+        action:          action
+    };
+
+    save_fade_state(index, output.output_id);
+
+    return fades[index][output.output_id];
+}
+
+function stop_fade(index, output_id) {
+    const fade = fades[index][output_id];
+
+    if (fade) {
+        clearInterval(fade.interval_id);
+        delete fades[index][output_id];
+        save_fade_state(index, output_id);
     }
 
-    let valid_time_string = time_string.substring(relative);
-    let separator_index = valid_time_string.indexOf(":");
-    let hours = "0";
+    return fade != null;
+}
+
+function save_fade_state(index, output_id) {
+    const fade = fades[index][output_id];
+    let state = get_fire_state(index);
+
+    if (fade) {
+        // Store the start on the wall clock, a resumed fade catches up on the time it was down
+        state.fades[output_id] = {
+            output:       fade.output,
+            start_volume: fade.start_volume,
+            end_volume:   fade.end_volume,
+            duration:     fade.duration,
+            started:      Date.now() - fade.elapsed,
+            action:       fade.action
+        };
+    } else {
+        delete state.fades[output_id];
+    }
+
+    save_fire_state();
+}
+
+function suspend_fades() {
+    // Keep the fire state, to resume when paired again
+    fades.forEach(function(output_fades, index) {
+        for (const output_id in output_fades) {
+            clearInterval(output_fades[output_id].interval_id);
+            console.log("Fading suspended for alarm " + (index + 1));
+        }
+        fades[index] = {};
+    });
+}
+
+function resume_fades() {
+    const grace_time = +wake_settings.grace_time * 60 * 1000;
+    const now = Date.now();
+
+    wake_settings.alarms.forEach(function(alarm, index) {
+        const saved_fades = get_fire_state(index).fades;
+
+        for (const output_id in saved_fades) {
+            const saved = saved_fades[output_id];
+            const elapsed = Math.min(now - saved.started, saved.duration);
+
+            if (fades[index][output_id]) {
+                // Still running
+                continue;
+            }
+
+            if (now - saved.started - saved.duration > grace_time) {
+                console.log("Fading of alarm " + (index + 1) + " on " + saved.output.name + " expired");
+                delete saved_fades[output_id];
+            } else {
+                const current_volume = get_current_volume_by_output_id(output_id);
+                // Fades of follow-up steps have an action of their own
+                const action = (saved.action != null ? saved.action : alarm.action);
+                let fade = start_fade(index, saved.output, saved.start_volume, saved.end_volume,
+                                      saved.duration, elapsed, false, action);
+
+                if (current_volume) {
+                    // Continue from where it got, without mistaking it for a volume control collision
+                    fade.volume = current_volume.value;
+                    fade.previous_volume = current_volume.value;
+                }
+                console.log("Fading resumed for alarm " + (index + 1) + " on " + saved.output.name);
+            }
+        }
+    });
+
+    save_fire_state();
+}
 
-    // Extract hours
-    if (separator_index == 1 || separator_index == 2 ) {
-        hours = valid_time_string.substring(0, separator_index);
-    } else if (relative) {
-        // Outside expected range, no hours specified
-        separator_index = -1;
-    } else {
-        return null;
-    }
+function load_fire_state() {
+    fire_state = roon.load_config("state") || { alarms: [] };
 
-    // Extract minutes
-    let minutes = valid_time_string.substring(separator_index + 1, separator_index + 3);
+    // Alarms may have been deleted from the settings in the meantime
+    fire_state.alarms.length = Math.min(fire_state.alarms.length, wake_settings.alarms.length);
+}
 
-    // Check ranges
-    if (isNaN(hours) || hours < 0 || hours > 23) {
-        return null;
+function get_fire_state(index) {
+    if (!fire_state.alarms[index]) {
+        fire_state.alarms[index] = { next_time: null, fades: {} };
     }
 
-    if (isNaN(minutes) || minutes < 0 || minutes > 59) {
-        return null;
-    }
+    return fire_state.alarms[index];
+}
 
-    // Extract 24h/12h clock type
-    let is_am = false;
-    let is_pm = false;
-    let am_pm = "";
+function save_fire_state() {
+    roon.save_config("state", fire_state);
+}
 
-    if (!relative) {
-        let am_pm_index = separator_index + 1 + minutes.length;
-        am_pm = valid_time_string.substring(am_pm_index, am_pm_index + 2);
-        is_am = (am_pm.toLowerCase() == "am");
-        is_pm = (am_pm.toLowerCase() == "pm");
+function resize_alarm_state(count) {
+    while (timeout_id.length < count) {
+        timeout_id.push(null);
+        pre_alarm_ids.push([]);
+        routines.push(null);
+        fades.push({});
+        snooze_id.push(null);
+        snooze_time.push(null);
+        snooze_count.push(0);
+        sleeps.push(null);
+        verify_id.push({});
+        reports.push({ lines: [], failed: false });
+        alarm_keys.push(next_alarm_key++);
+    }
+}
 
-        // Check hour range
-        if (is_am || is_pm) {
-            if (hours < 1 || hours > 12) {
-                return null;
-            }
+function remove_alarm_state(index) {
+    if (timeout_id[index] != null) {
+        clearTimeout(timeout_id[index]);
+        timeout_id[index] = null;
+    }
+    clear_pre_alarms(index);
+    stop_routine(index);
+    zone_waiters.cancel({ index: index });
+    for (const output_id in fades[index]) {
+        if (stop_fade(index, output_id)) {
+            console.log("Fading terminated for alarm " + (index + 1));
         }
     }
-
-    if (hours.length == 1) {
-        hours = "0" + hours;
+    if (snooze_id[index] != null) {
+        clearTimeout(snooze_id[index]);
+        snooze_id[index] = null;
     }
-
-    if (minutes.length == 1) {
-        minutes = "0" + minutes;
+    for (const output_id in verify_id[index]) {
+        stop_verify(index, output_id);
     }
 
-    // Create human readable string
-    let friendly = (relative ? "+" : "") + hours + ":" + minutes;
-    if (is_am || is_pm) {
-        friendly += am_pm;
-    }
+    // The alarms below move up, their timers follow by key and their waiters by index
+    zone_waiters.shift(index);
+
+    alarm_keys.splice(index, 1);
+    timeout_id.splice(index, 1);
+    pre_alarm_ids.splice(index, 1);
+    routines.splice(index, 1);
+    fades.splice(index, 1);
+    verify_id.splice(index, 1);
+    reports.splice(index, 1);
+    fire_state.alarms.splice(index, 1);
+    snooze_id.splice(index, 1);
+    snooze_time.splice(index, 1);
+    snooze_count.splice(index, 1);
+    sleeps.splice(index, 1);
+
+    missed_alarms = missed_alarms.filter((missed) => missed.index != index);
+    missed_alarms.forEach(function(missed) {
+        if (missed.index > index) {
+            missed.index--;
+        }
+    });
+}
 
-    // Convert to 24h clock type
-    if (is_am && hours == 12) {
-        hours -= 12;
-    } else if (is_pm && hours < 12) {
-        hours = +hours + 12;
+function init() {
+    if (validate_config(wake_settings)) {
+        roon.save_config("settings", wake_settings);
     }
 
-    return {
-        relative: relative,
-        hours:    +hours,
-        minutes:  +minutes,
-        friendly: friendly
-    };
+    resize_alarm_state(wake_settings.alarms.length);
+    load_skip_dates(wake_settings);
+    load_fire_state();
+    alarm_history = roon.load_config("history") || [];
+    find_missed_alarms();
+    update_http_api();
+    update_mqtt();
+    set_timer(true);
 }
 
-function get_current_volume_by_output_id(output_id) {
-    return get_current_volume(transport.zone_by_output_id(output_id), output_id);
-}
+function apply_settings(settings, deleted, extensions, cancels) {
+    const old_alarms = wake_settings.alarms.filter((alarm, index) => !deleted.includes(index));
 
-function get_current_volume(zone, output_id) {
-    let volume = null;
+    // Indices are in descending order
+    deleted.forEach(remove_alarm_state);
+    resize_alarm_state(settings.alarms.length);
 
-    if (zone && zone.outputs) {
-        zone.outputs.forEach(function(output) {
-            if (output.output_id == output_id) {
-                volume = output.volume;
-            }
-        });
+    for (const key in settings) {
+        if (GLOBAL_LAYOUT_FIELD_PATTERN.test(key)) {
+            delete settings[key];
+        }
     }
 
-    return volume;
-}
-
-function set_timer(reset) {
-    const now = new Date();
-    let settings = wake_settings;
+    settings.alarms.forEach(function(alarm, index) {
+        if (sleeps[index] && extensions[index] > 0) {
+            extend_sleep(alarm, index, extensions[index]);
+        }
+        if (cancels[index]) {
+            cancel_routine(index);
+        }
 
-    if (reset) {
-        pending_alarms = [];
-    } else {
-        // Remove expired alarms
-        for (let i = pending_alarms.length - 1; i >= 0; i--) {
-            if (pending_alarms[i].timeout <= now.getTime()) {
-                pending_alarms.splice(0, i + 1);
-                break;
+        for (const field in alarm) {
+            if (LAYOUT_FIELDS.includes(field) || LAYOUT_FIELD_PATTERN.test(field)) {
+                delete alarm[field];
             }
         }
-    }
 
-    for (let i = 0; i < ALARM_COUNT; i++) {
-        if (reset || timeout_id[i] == null) {
-            if (settings["timer_active_" + i] && settings["zone_" + i]) {
-                const action = settings["wake_action_" + i];
-                const wake_day = settings["wake_day_" + i];
-                const fade_time = (settings["transition_type_" + i] == TRANS_FADING ?
-                                   +settings["transition_time_" + i] : 0);
-                let date = new Date(now);
+        if (old_alarms[index] && alarm.days != old_alarms[index].days) {
+            // Start over with the new selection of days
+            alarm.days_done = 0;
+            alarm.first_day = null;
+        }
 
-                // Configuration is already validated at this point, get processed fields
-                let valid_time = validate_time_string(settings["wake_time_" + i], wake_day == ONCE);
+        if (is_reconfigured(alarm, old_alarms[index])) {
+            // Waiters act on the old settings
+            zone_waiters.cancel({ index: index });
+        }
+    });
 
-                date.setSeconds(0);
-                date.setMilliseconds(0);
+    wake_settings = settings;
+    roon.save_config("settings", wake_settings);
+    load_skip_dates(wake_settings);
+    update_http_api();
+    update_mqtt();
 
-                let timeout_time = date.getTime();
+    set_timer(true);
+}
 
-                if (valid_time.relative) {
-                    timeout_time += (valid_time.hours * 60 + valid_time.minutes) * 60 * 1000;
-                } else {
-                    let tz_offset = date.getTimezoneOffset();
-                    let day = date.getDay();
-                    let days_to_skip = 0;
+function is_reconfigured(alarm, old_alarm) {
+    // Skipping and the progress of an alarm leave its configuration as is
+    const replacer = (key, value) => (RUNTIME_FIELDS.includes(key) ? undefined : value);
 
-                    date.setHours(valid_time.hours);
-                    date.setMinutes(valid_time.minutes);
-                    timeout_time = date.getTime();
+    return JSON.stringify(alarm, replacer) != JSON.stringify(old_alarm, replacer);
+}
 
-                    if (fade_time && action == ACTION_PLAY) {
-                        // Subtract fade time to reach the configured volume at the configured time
-                        timeout_time -= fade_time * 60 * 1000;
-                    }
+function update_http_api() {
+    const port = +wake_settings.http_port;
+    const address = (port ? wake_settings.http_host.trim() + ":" + port : undefined);
 
-                    if (wake_day < 7) {
-                        days_to_skip = (wake_day + 7 - day) % 7;
-                    }
+    if (address === http_address) {
+        return;
+    }
 
-                    if (days_to_skip == 0 && timeout_time < Date.now()) {
-                        // Time has passed for today
-                        if (wake_day < 7) {
-                            // Next week
-                            days_to_skip = 7;
-                        } else {
-                            // Tomorrow
-                            days_to_skip = 1;
-                            day = (day + 1) % 7;
-                        }
-                    }
+    if (http_server) {
+        http_server.close();
+        http_server = undefined;
+    }
 
-                    if (wake_day == MON_FRI) {
-                        switch (day) {
-                            case SUN:
-                                // Sunday
-                                days_to_skip += 1;
-                                break;
-                            case SAT:
-                                // Saterday
-                                days_to_skip += 2;
-                                break;
-                        }
-                    } else if (wake_day == WEEKEND && day > SUN && day < SAT) {
-                        days_to_skip += SAT - day;
-                    }
+    http_address = address;
 
-                    timeout_time += days_to_skip * 24 * 60 * 60 * 1000;
-                    date = new Date(timeout_time);
-                    tz_offset -= date.getTimezoneOffset();
+    if (address) {
+        http_server = http_api.create_server(api_handlers);
+        http_server.on('error', function(err) {
+            console.log("HTTP API not available on " + address + ": " + err.message);
+        });
+        http_server.listen(port, wake_settings.http_host.trim(), function() {
+            console.log("HTTP API listening on " + address);
+        });
+    }
+}
 
-                    if (tz_offset) {
-                        timeout_time -= tz_offset * 60 * 1000;
-                    }
-                }
-                let action_string = settings["zone_" + i].name + ": ";
-                action_string += get_action_string(action);
+function update_mqtt() {
+    const config = (wake_settings.mqtt_broker ?
+                    [wake_settings.mqtt_broker, wake_settings.mqtt_topic,
+                     wake_settings.mqtt_user, wake_settings.mqtt_password].join("\n") : undefined);
 
-                add_pending_alarm( { timeout: timeout_time, action: action_string } );
+    if (config === mqtt_config) {
+        return;
+    }
 
-                timeout_time -= Date.now();
+    if (mqtt) {
+        mqtt.end();
+        mqtt = undefined;
+    }
 
-                if (timeout_id[i] != null) {
-                    // Clear pending timeout
-                    clearTimeout(timeout_id[i]);
-                }
+    mqtt_config = config;
 
-                timeout_id[i] = setTimeout(timer_timed_out, timeout_time, i);
-            } else if (timeout_id[i] != null) {
-                // Clear pending timeout
-                clearTimeout(timeout_id[i]);
-                timeout_id[i] = null;
-            }
-        }
+    if (config) {
+        mqtt = mqtt_client.create_client(wake_settings.mqtt_broker, wake_settings.mqtt_user,
+                                         wake_settings.mqtt_password, wake_settings.mqtt_topic,
+                                         on_mqtt_command);
     }
-
-    // Update status
-    svc_status.set_status(get_pending_alarms_string(), false);
 }
 
-function timer_timed_out(index) {
-    let settings = wake_settings;
+function log_event(index, event, details, failed) {
+    const alarm = wake_settings.alarms[index];
 
-    timeout_id[index] = null;
+    history.add_entry(alarm_history, {
+        time:    new Date().toISOString(),
+        alarm:   index + 1,
+        title:   get_alarm_title(alarm, index),
+        event:   event,
+        failed:  !!failed,
+        details: details
+    });
+    save_history();
 
-    if (core) {
-        const output = settings["zone_" + index];
-        let zone = transport.zone_by_output_id(output.output_id);
+    publish_event(index, event, details);
+    update_status();
+}
 
-        if (zone) {
-            const action = settings["wake_action_" + index];
-            let postponed = false;
+function save_history() {
+    // A firing alarm logs a burst of events, save them in one go
+    if (history_save_id == null) {
+        history_save_id = setTimeout(function() {
+            history_save_id = null;
+            roon.save_config("history", alarm_history);
+        }, HISTORY_SAVE_DELAY * 1000);
+    }
+}
 
-            if (zone.state == 'playing') {
-                const trans_time = (settings["transition_type_" + index] == TRANS_TRACKBOUND ?
-                                    +settings["transition_time_" + index] * 60 : 0);
-                const now_playing = zone.now_playing;
-
-                if (trans_time > 0 && now_playing && (action == ACTION_STOP || action == ACTION_STANDBY)) {
-                    const length = now_playing.length;
-                    const properties = {
-                        now_playing:     { seek_position: 0 },
-                        state:           'stopped',
-                        is_play_allowed: true
-                    };
+function publish_event(index, event, data) {
+    if (mqtt) {
+        const alarm = wake_settings.alarms[index];
 
-                    if (length && (length - now_playing.seek_position < trans_time)) {
-                        on_zone_property_changed(zone.zone_id, properties, function(zone) {
-                            control(settings, zone, output, index);
-                        });
+        mqtt.publish(index, event, Object.assign({ title: get_alarm_title(alarm, index) }, data));
+    }
+}
 
-                        postponed = true;
-                    }
-                }
-            } else if (action == ACTION_PLAY && !zone.is_play_allowed && zone.is_previous_allowed) {
-                // Start off with previous track
-                transport.control(output, 'previous', function(error) {
-                    if (!error) {
-                        on_zone_property_changed(zone.zone_id, { is_play_allowed: true }, function(zone) {
-                            control(settings, zone, output, index);
-
-                            // Turn radio function on to keep the music going
-                            transport.change_settings(zone, { auto_radio: true });
-                        });
-                    }
-                });
+function on_mqtt_command(index, command, text) {
+    // An empty message, or anything but a negation, enables
+    const value = !/^(false|off|no|0)$/i.test(text);
+    let result;
 
-                postponed = true;
-            }
+    switch (command) {
+        case "skip":
+            result = api_handlers.update_alarm(index, { skip_next: value });
+            break;
+        case "snooze":
+            result = api_handlers.snooze_alarm(index, {});
+            break;
+        case "trigger":
+            result = api_handlers.trigger_alarm(index, {});
+            break;
+        case "enable":
+            result = api_handlers.update_alarm(index, { active: value });
+            break;
+        case "cancel":
+            result = api_handlers.cancel_routine(index, {});
+            break;
+    }
 
-            if (!postponed) {
-                control(settings, zone, output, index);
-            }
-        }
+    if (result.status >= 400) {
+        console.log("MQTT command '" + command + "' for alarm " + (index + 1) + " failed: " +
+                    result.body.errors.join(", "));
     }
+}
 
-    const date = new Date();
-    const day = date.getDay();
-    const wake_day = settings["wake_day_" + index];
+// Fields of the stored alarms that can be set through the HTTP API. Hooks run shell commands and the
+// API has no authentication, so they can only be set in the settings of the extension.
+const API_SETTINGS_ONLY_FIELDS = ['hook', 'hook_time'];
+const API_FIELDS = Object.keys(create_alarm()).filter((field) => !["days_done", "first_day", "skip_time"].includes(field) &&
+                                                                 !API_SETTINGS_ONLY_FIELDS.includes(field));
+// Numbers that are kept as strings, like the settings dialog does
+const API_NUMBER_FIELDS = API_FIELDS.filter(function(field) {
+    const template = create_alarm()[field];
 
-    if (settings["repeat_" + index] == false &&
-        ((wake_day <= ONCE) ||
-         (wake_day == WEEKEND && day == SUN) ||
-         (wake_day == MON_FRI && day == FRI) ||
-         (wake_day == DAILY && day == SAT))) {
-        // Disable this timer
-        settings["timer_active_" + index] = false;
-        roon.save_config("settings", settings);
-    }
+    return (typeof template == "string" && /^\d+$/.test(template));
+});
+const API_ZONE_FIELDS = ['zone', 'transfer_zone', 'backup_zone'];
 
-    set_timer(false);
-}
+const api_handlers = {
+    list_alarms: function(index, body) {
+        return { status: 200, body: { alarms: wake_settings.alarms.map(get_api_alarm), pending: get_api_pending() } };
+    },
+    get_alarm: function(index, body) {
+        if (!wake_settings.alarms[index]) {
+            return api_not_found();
+        }
 
-function control(settings, zone, output, index) {
-    const fade_time = (settings["transition_type_" + index] == TRANS_FADING ?
-                       +settings["transition_time_" + index] : 0);
-    const current_volume = get_current_volume(zone, output.output_id);
-    let end_volume = settings["wake_volume_" + index];
-    let action = settings["wake_action_" + index];
+        return { status: 200, body: get_api_alarm(wake_settings.alarms[index], index) };
+    },
+    create_alarm: function(index, body) {
+        let settings = JSON.parse(JSON.stringify(wake_settings));
+        let alarm = create_alarm();
 
-    if (fade_time > 0 && current_volume && action != ACTION_TRANSFER) {
-        // Take care of fading
-        let start_volume;
+        settings.alarms.push(alarm);
 
-        if (zone.state == 'playing') {
-            start_volume = current_volume.value;
-        } else {
-            start_volume = current_volume.min;
+        return apply_api_change(settings, settings.alarms.length - 1, body, 201);
+    },
+    update_alarm: function(index, body) {
+        if (!wake_settings.alarms[index]) {
+            return api_not_found();
         }
 
-        if (action == ACTION_STANDBY || action == ACTION_STOP) {
-            end_volume = current_volume.min;
+        return apply_api_change(JSON.parse(JSON.stringify(wake_settings)), index, body, 200);
+    },
+    delete_alarm: function(index, body) {
+        if (!wake_settings.alarms[index]) {
+            return api_not_found();
         }
 
-        if (end_volume != start_volume) {
-            let ms_per_step = (fade_time * 60 * 1000) / Math.abs(end_volume - start_volume);
+        return apply_api_change(JSON.parse(JSON.stringify(wake_settings)), index, { active: DELETE_ALARM }, 200);
+    },
+    snooze_alarm: function(index, body) {
+        const alarm = wake_settings.alarms[index];
+
+        if (!alarm) {
+            return api_not_found();
+        } else if (!core) {
+            return { status: 503, body: { errors: ["Not paired with a Roon Core"] } };
+        } else if (alarm.action != ACTION_PLAY || !alarm.zone) {
+            return { status: 409, body: { errors: ["Only Play alarms can be snoozed"] } };
+        }
 
-            if (interval_id[index] != null) {
-                clearInterval(interval_id[index]);
-            }
+        const zone = transport.zone_by_output_id(alarm.zone.output_id);
 
-            interval_id[index] = setInterval(take_fade_step, ms_per_step,
-                                                index, start_volume, end_volume);
+        if (zone) {
+            // The pause is ours, don't let a snooze watcher count it again
+            zone_waiters.cancel({ index: index, kind: WAIT_SNOOZE });
+            note_own_change(alarm.zone);
+            transport.control(alarm.zone, zone.is_pause_allowed ? 'pause' : 'stop');
+        }
+        snooze(alarm, index);
 
-            if (zone.state == 'playing' &&
-                (action == ACTION_STANDBY || action == ACTION_STOP)) {
-                // Remain playing during fade out
-                action = ACTION_NONE;
-            }
+        return { status: 200, body: get_api_alarm(alarm, index) };
+    },
+    trigger_alarm: function(index, body) {
+        const alarm = wake_settings.alarms[index];
+
+        if (!alarm) {
+            return api_not_found();
+        } else if (!core) {
+            return { status: 503, body: { errors: ["Not paired with a Roon Core"] } };
+        } else if (!alarm.zone) {
+            return { status: 409, body: { errors: ["Alarm has no zone"] } };
+        }
 
-            end_volume = start_volume;
-            fade_volume[index] = start_volume;
+        fire_alarm(alarm, index);
+
+        return { status: 200, body: get_api_alarm(alarm, index) };
+    },
+    cancel_routine: function(index, body) {
+        const alarm = wake_settings.alarms[index];
+
+        if (!alarm) {
+            return api_not_found();
+        } else if (!cancel_routine(index)) {
+            return { status: 409, body: { errors: ["Routine isn't running"] } };
         }
+
+        return { status: 200, body: get_api_alarm(alarm, index) };
+    },
+    get_pending: function(index, body) {
+        return { status: 200, body: { pending: get_api_pending() } };
+    },
+    get_history: function(index, body) {
+        const summary = history.get_summary(alarm_history, Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+        return { status: 200, body: { summary: summary, entries: alarm_history } };
+    },
+    get_history_csv: function(index, body) {
+        return { status: 200, body: history.to_csv(alarm_history), type: "text/csv" };
     }
+};
 
-    switch (action) {
-        case ACTION_PLAY:
-            // Set wake volume, even if already playing
-            transport.change_volume(output, "absolute", end_volume);
+function api_not_found() {
+    return { status: 404, body: { errors: ["Alarm not found"] } };
+}
 
-            if (zone.state != 'playing') {
-                transport.control(output, 'play');
-            }
-            break;
-        case ACTION_STOP:
-            if (zone.state == 'playing') {
-                transport.control(output, zone.is_pause_allowed ? 'pause' : 'stop');
-            }
-            break;
-        case ACTION_STANDBY:
-            transport.standby(output, {}, function(error) {
-                if (error) {
-                    console.log("Output doesn't support standby");
+function get_api_alarm(alarm, index) {
+    let settings = {};
 
-                    if (zone.state == 'playing') {
-                        transport.control(output, zone.is_pause_allowed ? 'pause' : 'stop');
-                    }
-                }
-            });
-            break;
-        case ACTION_TRANSFER:
-            const transfer_zone = settings["transfer_zone_" + index];
+    API_FIELDS.forEach(function(field) {
+        settings[field] = alarm[field];
+    });
 
-            // Set volume for the zone we transfer to
-            transport.change_volume(transfer_zone, "absolute", end_volume);
-            transport.transfer_zone(output, transfer_zone);
-            break;
-        case ACTION_NONE:
-        default:
-            break;
+    return {
+        id:       index + 1,
+        title:    get_alarm_title(alarm, index),
+        snoozed:  snooze_id[index] != null,
+        routine:  (routines[index] ? { next_step: routines[index].step + 1 } : null),
+        settings: settings
+    };
+}
+
+function get_api_pending() {
+    return pending_alarms.map(function(entry) {
+        return {
+            time:   new Date(entry.timeout).toISOString(),
+            action: entry.action,
+            note:   entry.note
+        };
+    });
+}
+
+function get_api_zone(value) {
+    if (typeof value == "string") {
+        // Accept a bare output id, as the settings store it along with its name
+        const zone = (transport ? transport.zone_by_output_id(value) : undefined);
+
+        return { output_id: value, name: (zone ? zone.display_name : value) };
     }
+
+    return value;
 }
 
-function take_fade_step(index, start_volume, end_volume) {
-    let output = wake_settings["zone_" + index];
-    let step = (start_volume < end_volume ? 1 : -1);
-    let zone = transport.zone_by_output_id(output.output_id);
-    const current_volume = get_current_volume(zone, output.output_id);
+function is_api_object(value) {
+    return value !== null && typeof value == "object" && !Array.isArray(value);
+}
 
-    // Detect volume control collisions, allow for 1 step volume set back
-    if (current_volume && current_volume.value - fade_volume[index] > 1) {
-        // Somebody else is turning the knob as well, hands off
-        clearInterval(interval_id[index]);
-        interval_id[index] = null;
-        console.log("Fading terminated for alarm " + (index + 1));
-    } else if (zone.state != 'playing') {
-        // Postpone fading in case data is still loading
-        if (zone.state != 'loading') {
-            // Playback is stopped manually
-            clearInterval(interval_id[index]);
-            interval_id[index] = null;
+function is_api_zone(value) {
+    return value === null || typeof value == "string" || (is_api_object(value) && typeof value.output_id == "string");
+}
 
-            // Restore start volume
-            transport.change_volume(output, "absolute", start_volume);
+function is_api_volume(value) {
+    return value == null || typeof value == "number";
+}
+
+// The layout only validates the values, their types have to be checked first
+function get_api_type_error(field, value) {
+    const template = create_alarm()[field];
+
+    if (API_ZONE_FIELDS.includes(field)) {
+        return (is_api_zone(value) ? null : "should be an output id or a zone");
+    } else if (field == "volume" || field == "backup_volume") {
+        return (is_api_volume(value) ? null : "should be a number or null");
+    } else if (field == "extra_zones") {
+        const valid = Array.isArray(value) && value.every((extra) => is_api_object(extra) &&
+                                                                     is_api_zone(extra.zone) &&
+                                                                     is_api_volume(extra.volume));
+
+        return (valid ? null : "should be an array of objects with a zone and a volume");
+    } else if (field == "steps") {
+        const valid = Array.isArray(value) && value.every((step) => is_api_object(step) &&
+                                                                    step.zone != null && is_api_zone(step.zone) &&
+                                                                    typeof step.action == "number" &&
+                                                                    (typeof step.delay == "number" ||
+                                                                     typeof step.delay == "string") &&
+                                                                    is_api_volume(step.volume));
+
+        return (valid ? null : "should be an array of objects with a delay, an action and a zone");
+    } else if (API_NUMBER_FIELDS.includes(field)) {
+        return (typeof value == "number" || typeof value == "string" ? null : "should be a number or a string");
+    } else if (Array.isArray(template)) {
+        return (Array.isArray(value) ? null : "should be an array");
+    } else if (field == "active") {
+        // Like in the settings, an alarm can also be deleted this way
+        return (typeof value == "boolean" || value === DELETE_ALARM ? null : "should be a boolean or \"" + DELETE_ALARM + "\"");
+    } else if (typeof value != typeof template) {
+        return "should be a " + typeof template;
+    }
+
+    return null;
+}
+
+function apply_api_change(settings, index, fields, status) {
+    const selected_timer = settings.selected_timer;
+    let alarm = settings.alarms[index];
+    let errors = [];
+
+    for (const field in fields) {
+        const type_error = (API_FIELDS.includes(field) ? get_api_type_error(field, fields[field]) : null);
+
+        if (API_SETTINGS_ONLY_FIELDS.includes(field)) {
+            errors.push("Field '" + field + "' can only be set in the settings of the extension");
+        } else if (!API_FIELDS.includes(field)) {
+            errors.push("Unknown field '" + field + "'");
+        } else if (type_error) {
+            errors.push("Field '" + field + "' " + type_error);
+        } else if (API_ZONE_FIELDS.includes(field)) {
+            alarm[field] = get_api_zone(fields[field]);
+        } else if (field == "extra_zones") {
+            alarm[field] = fields[field].map((extra) => ({ zone: get_api_zone(extra.zone), volume: extra.volume }));
+        } else if (field == "steps") {
+            alarm[field] = fields[field].map((step) => ({ delay:  step.delay,
+                                                          action: step.action,
+                                                          zone:   get_api_zone(step.zone),
+                                                          volume: (step.volume != null ? step.volume : null) }));
+        } else if (API_NUMBER_FIELDS.includes(field)) {
+            alarm[field] = "" + fields[field];
+        } else {
+            alarm[field] = fields[field];
         }
-    } else if (fade_volume[index] != end_volume) {
-        // Fade one step
-        fade_volume[index] += step;
-        transport.change_volume(output, "absolute", fade_volume[index]);
-    } else {
-        // Level reached, clear interval
-        clearInterval(interval_id[index]);
-        interval_id[index] = null;
+    }
 
-        const action = wake_settings["wake_action_" + index];
+    if (!errors.length) {
+        // Validate the same way the settings dialog does
+        settings.selected_timer = index;
 
-        if (action == ACTION_STOP || action == ACTION_STANDBY) {
-            // Stop playback
-            transport.control(output, zone.is_pause_allowed ? 'pause' : 'stop');
+        const l = makelayout(settings);
 
-            on_zone_property_changed(zone.zone_id, { is_play_allowed: true }, function(zone) {
-                // Restore start volume
-                transport.change_volume(output, "absolute", start_volume, function(error) {
-                    if (!error && action == ACTION_STANDBY) {
-                        // Switch to standby
-                        transport.standby(output, {}, function(error) {
-                            if (error) {
-                                console.log("Output doesn't support standby");
-                            }
-                        });
-                    }
-                });
+        l.layout.forEach(function(item) {
+            (item.items || [item]).forEach(function(item) {
+                if (item.error) {
+                    errors.push(item.title + ": " + item.error);
+                }
             });
-        }
+        });
     }
-}
 
-function init() {
-    for (let i = 0; i < ALARM_COUNT; i++) {
-        timeout_id.push(null);
-        interval_id.push(null);
-        fade_volume.push(null);
+    if (errors.length) {
+        return { status: 400, body: { errors: errors } };
     }
 
-    if (validate_config(wake_settings)) {
-        roon.save_config("settings", wake_settings);
+    settings.selected_timer = selected_timer;
+
+    const deleted = remove_deleted_alarms(settings);
+
+    apply_settings(settings, deleted, [], []);
+    svc_settings.update_settings(makelayout(JSON.parse(JSON.stringify(wake_settings))));
+
+    if (deleted.length) {
+        return { status: status, body: {} };
     }
 
-    set_timer(true);
+    return { status: status, body: get_api_alarm(wake_settings.alarms[index], index) };
 }
 
 var svc_settings = new RoonApiSettings(roon, {
     get_settings: function(cb) {
-        cb(makelayout(wake_settings));
+        // Work on a copy, the layout fields shouldn't end up in the active settings
+        cb(makelayout(JSON.parse(JSON.stringify(wake_settings))));
     },
     save_settings: function(req, isdryrun, settings) {
-        let l = makelayout(settings.values);
+        let alarm_settings = unflatten_settings(settings.values);
+        let l = makelayout(alarm_settings);
+        let deleted = [];
+        let extensions = [];
+        let cancels = [];
+
+        if (!isdryrun && !l.has_error) {
+            deleted = remove_deleted_alarms(alarm_settings);
+            extensions = take_sleep_extensions(alarm_settings);
+            cancels = take_routine_cancels(alarm_settings);
+            l = makelayout(alarm_settings);
+        }
+
         req.send_complete(l.has_error ? "NotValid" : "Success", { settings: l });
 
         if (!isdryrun && !l.has_error) {
-            wake_settings = l.values;
+            apply_settings(alarm_settings, deleted, extensions, cancels);
             svc_settings.update_settings(l);
-            roon.save_config("settings", wake_settings);
-
-            set_timer(true);
         }
     }
 });
@@ -968,9 +3774,16 @@ var svc_settings = new RoonApiSettings(roon, {
 var svc_status = new RoonApiStatus(roon);
 
 roon.init_services({
-    required_services:   [ RoonApiTransport ],
+    required_services:   [ RoonApiTransport, RoonApiBrowse ],
     provided_services:   [ svc_settings, svc_status ]
 });
 
 init();
-roon.start_discovery();
+
+if (require.main === module) {
+    roon.start_discovery();
+} else {
+    // Loaded by a test driver, which pairs a Core itself, like the one of simulated-core.js
+    exports.roon = roon;
+    exports.api_handlers = api_handlers;
+}
@@ -0,0 +1,78 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+// Alarm actions
+exports.ACTION_NONE     = -1;
+exports.ACTION_STOP     = 0;
+exports.ACTION_PLAY     = 1;
+exports.ACTION_TRANSFER = 2;
+exports.ACTION_STANDBY  = 3;
+exports.ACTION_SLEEP    = 4;
+exports.ACTION_VOLUME   = 5;    // Follow-up steps only
+
+// Weekdays, as returned by Date.getDay()
+exports.SUN = 0;
+exports.MON = 1;
+exports.TUE = 2;
+exports.WED = 3;
+exports.THU = 4;
+exports.FRI = 5;
+exports.SAT = 6;
+
+// Weekday sets are bitmasks with bit n set for day n
+exports.ONCE    = 0x00;
+exports.DAILY   = 0x7f;
+exports.MON_FRI = 0x3e;
+exports.WEEKEND = 0x41;
+
+// Transition types
+exports.TRANS_INSTANT    = 0;
+exports.TRANS_FADING     = 1;
+exports.TRANS_TRACKBOUND = 2;
+
+// Play sources
+exports.SOURCE_NONE     = -1;
+exports.SOURCE_QUEUE    = 0;
+exports.SOURCE_PLAYLIST = 1;
+exports.SOURCE_RADIO    = 2;
+exports.SOURCE_ALBUM    = 3;
+exports.SOURCE_GENRE    = 4;
+
+// Fade curves
+exports.CURVE_LINEAR      = 0;
+exports.CURVE_LOGARITHMIC = 1;
+exports.CURVE_S           = 2;
+
+// Transition time units
+exports.UNIT_SECONDS = 0;
+exports.UNIT_MINUTES = 1;
+
+// Sleep timer modes
+exports.SLEEP_TRACKS  = 0;
+exports.SLEEP_ALBUM   = 1;
+exports.SLEEP_QUEUE   = 2;
+exports.SLEEP_MINUTES = 3;
+
+// Alarm conditions, checked against the alarm zone when the alarm fires
+exports.CONDITION_ALWAYS    = 0;
+exports.CONDITION_IDLE      = 1;
+exports.CONDITION_PLAYING   = 2;
+exports.CONDITION_PAUSED    = 3;
+exports.CONDITION_UNTOUCHED = 4;
+
+// Quiet hours modes
+exports.QUIET_LIMIT = 0;
+exports.QUIET_FADE  = 1;
@@ -0,0 +1,41 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const { CURVE_LINEAR, CURVE_LOGARITHMIC, CURVE_S } = require('./constants');
+
+function shape(curve, x) {
+    switch (curve) {
+        case CURVE_LOGARITHMIC:
+            // Quick rise at first, slowing down towards the end
+            return Math.log10(1 + 9 * x);
+        case CURVE_S:
+            // Slow start and end, fastest halfway
+            return x * x * (3 - 2 * x);
+        case CURVE_LINEAR:
+        default:
+            return x;
+    }
+}
+
+// Volume at progress (0 to 1) of a fade, a fade out follows the mirrored curve
+function get_fade_volume(curve, start_volume, end_volume, progress) {
+    const x = Math.min(Math.max(progress, 0), 1);
+    const fraction = (+end_volume >= +start_volume ? shape(curve, x) : 1 - shape(curve, 1 - x));
+
+    return Math.round(+start_volume + (end_volume - start_volume) * fraction);
+}
+
+exports.get_fade_volume = get_fade_volume;
@@ -0,0 +1,89 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const MAX_ENTRIES = 1000;
+const CSV_COLUMNS = ['time', 'alarm', 'title', 'event', 'failed', 'details'];
+
+// Events that are counted in the summary, in the order they are shown
+const SUMMARY_EVENTS = [
+    { event: "fired",           text: "fired",           plural: "fired"            },
+    { event: "missed",          text: "missed",          plural: "missed"           },
+    { event: "postponed",       text: "postponed",       plural: "postponed"        },
+    { event: "fade_terminated", text: "fade terminated", plural: "fades terminated" },
+    { event: "standby_failed",  text: "standby failure", plural: "standby failures" },
+    { event: "snoozed",         text: "snoozed",         plural: "snoozed"          },
+    { event: "skipped",         text: "skipped",         plural: "skipped"          }
+];
+
+// Entries beyond the maximum size are dropped, oldest first
+function add_entry(history, entry) {
+    history.push(entry);
+
+    if (history.length > MAX_ENTRIES) {
+        history.splice(0, history.length - MAX_ENTRIES);
+    }
+}
+
+// One line summary of the events since the given time, empty if there are none
+function get_summary(history, since) {
+    const since_string = new Date(since).toISOString();
+    let counts = {};
+    let failures = 0;
+
+    history.forEach(function(entry) {
+        // ISO strings compare chronologically
+        if (entry.time >= since_string) {
+            counts[entry.event] = (counts[entry.event] || 0) + 1;
+            failures += (entry.failed ? 1 : 0);
+        }
+    });
+
+    let parts = SUMMARY_EVENTS.filter((summary) => counts[summary.event]).map(function(summary) {
+        const count = counts[summary.event];
+
+        return count + " " + (count == 1 ? summary.text : summary.plural);
+    });
+
+    if (failures) {
+        parts.push(failures + (failures == 1 ? " failure" : " failures"));
+    }
+
+    return parts.join(", ");
+}
+
+function to_csv_field(value) {
+    const text = (value == null ? "" : "" + value);
+
+    return (/[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text);
+}
+
+// The history as CSV with a header line, details as key=value pairs
+function to_csv(history) {
+    let lines = [CSV_COLUMNS.join(",")];
+
+    history.forEach(function(entry) {
+        const details = Object.keys(entry.details || {}).map((key) => key + "=" + entry.details[key]);
+        const fields = CSV_COLUMNS.map((column) => (column == 'details' ? details.join("; ") : entry[column]));
+
+        lines.push(fields.map(to_csv_field).join(","));
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+exports.add_entry   = add_entry;
+exports.get_summary = get_summary;
+exports.to_csv      = to_csv;
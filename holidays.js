@@ -0,0 +1,167 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+var fs = require('fs');
+
+// Dates are compared as numbers of the form yyyymmdd
+function get_date_key(date) {
+    return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+}
+
+// yyyy-mm-dd with optional dashes, null if it isn't a valid date
+function parse_date(date_string) {
+    const match = date_string.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+
+    if (match) {
+        const date = new Date(+match[1], +match[2] - 1, +match[3]);
+
+        // Reject dates that roll over, like 2018-02-30
+        if (date.getMonth() == +match[2] - 1) {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+// Entries like yyyy-mm-dd[..yyyy-mm-dd] [reason], separated by commas
+function parse_skip_dates(skip_string) {
+    let ranges = [];
+    const entries = (skip_string || "").split(/[,;\n]/);
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i].trim();
+
+        if (entry.length) {
+            const match = entry.match(/^(\S+?)(?:\.\.(\S+))?(?:\s+(.*))?$/);
+            const start = parse_date(match[1]);
+            const end = (match[2] ? parse_date(match[2]) : start);
+
+            if (!start || !end || end < start) {
+                return { error: "Invalid skip date: '" + entry + "'" };
+            }
+
+            ranges.push({
+                start:  get_date_key(start),
+                end:    get_date_key(end),
+                reason: match[3] || "skip date"
+            });
+        }
+    }
+
+    return { ranges: ranges };
+}
+
+// All day events become skip dates, yearly events repeat from their first year onwards
+function parse_ics(ics_string) {
+    // Unfold continuation lines
+    const lines = ics_string.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    let ranges = [];
+    let event = null;
+
+    lines.forEach(function(line) {
+        const separator = line.indexOf(":");
+        const name = line.substring(0, separator).split(";")[0].toUpperCase();
+        const value = line.substring(separator + 1).trim();
+
+        if (line == "BEGIN:VEVENT") {
+            event = {};
+        } else if (line == "END:VEVENT") {
+            if (event && event.start) {
+                let end = event.end;
+
+                if (end) {
+                    // The end date of an all day event is exclusive
+                    end.setDate(end.getDate() - 1);
+                }
+                if (!end || end < event.start) {
+                    end = event.start;
+                }
+
+                ranges.push({
+                    start:  get_date_key(event.start),
+                    end:    get_date_key(end),
+                    reason: event.summary || "holiday",
+                    yearly: event.yearly
+                });
+            }
+            event = null;
+        } else if (event) {
+            switch (name) {
+                case "DTSTART":
+                    event.start = parse_date(value.substring(0, 8));
+                    break;
+                case "DTEND":
+                    event.end = parse_date(value.substring(0, 8));
+                    break;
+                case "SUMMARY":
+                    event.summary = value.replace(/\\([,;\\])/g, "$1");
+                    break;
+                case "RRULE":
+                    event.yearly = /FREQ=YEARLY/i.test(value);
+                    break;
+            }
+        }
+    });
+
+    return ranges;
+}
+
+// Combines the skip dates of the settings with those of the iCalendar file
+function load_skip_dates(skip_string, ics_file) {
+    let result = parse_skip_dates(skip_string);
+
+    if (!result.error && ics_file) {
+        try {
+            result.ranges = result.ranges.concat(parse_ics(fs.readFileSync(ics_file, 'utf8')));
+        } catch (err) {
+            result = { error: "Can't read holiday calendar: " + err.message };
+        }
+    }
+
+    return result;
+}
+
+// The range that contains the date, null if the date isn't skipped
+function find_skip_date(ranges, date) {
+    const key = get_date_key(date);
+
+    for (let i = 0; i < ranges.length; i++) {
+        const range = ranges[i];
+
+        if (key >= range.start && key <= range.end) {
+            return range;
+        }
+
+        if (range.yearly && key >= range.start) {
+            // Compare month and day, shift the range into the year of the date
+            const year_offset = (Math.floor(key / 10000) - Math.floor(range.start / 10000)) * 10000;
+
+            if ((key >= range.start + year_offset && key <= range.end + year_offset) ||
+                (key >= range.start + year_offset - 10000 && key <= range.end + year_offset - 10000)) {
+                return range;
+            }
+        }
+    }
+
+    return null;
+}
+
+exports.parse_date       = parse_date;
+exports.parse_skip_dates = parse_skip_dates;
+exports.parse_ics        = parse_ics;
+exports.load_skip_dates  = load_skip_dates;
+exports.find_skip_date   = find_skip_date;
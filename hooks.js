@@ -0,0 +1,87 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+var child_process = require('child_process'),
+    http          = require('http'),
+    https         = require('https');
+
+const HOOK_TIMEOUT = 30;    // Seconds a hook may take
+
+// A URL gets the event POSTed as JSON, anything else runs as shell command with ALARM_* variables
+function run_hook(hook, event, cb) {
+    if (/^https?:\/\//i.test(hook)) {
+        post_event(hook, event, cb);
+    } else {
+        exec_command(hook, event, cb);
+    }
+}
+
+function post_event(url, event, cb) {
+    const body = JSON.stringify(event);
+    const options = {
+        method:  "POST",
+        timeout: HOOK_TIMEOUT * 1000,
+        headers: {
+            "Content-Type":   "application/json",
+            "Content-Length": Buffer.byteLength(body)
+        }
+    };
+    let req;
+
+    try {
+        req = (/^https/i.test(url) ? https : http).request(url, options, function(res) {
+            // Only the status matters
+            res.resume();
+
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                cb();
+            } else {
+                cb("HTTP status " + res.statusCode);
+            }
+        });
+    } catch (err) {
+        return cb(err.message);
+    }
+
+    req.on('timeout', function() {
+        req.destroy(new Error("No response within " + HOOK_TIMEOUT + " seconds"));
+    });
+    req.on('error', function(err) {
+        cb(err.message);
+    });
+    req.end(body);
+}
+
+function exec_command(command, event, cb) {
+    let env = Object.assign({}, process.env);
+
+    for (const key in event) {
+        env["ALARM_" + key.toUpperCase()] = "" + event[key];
+    }
+
+    child_process.exec(command, { env: env, timeout: HOOK_TIMEOUT * 1000 }, function(err, stdout, stderr) {
+        if (err) {
+            const output = stderr.trim().split("\n").pop();
+
+            cb(err.killed ? "No result within " + HOOK_TIMEOUT + " seconds" :
+                            "Exit code " + err.code + (output ? ", " + output : ""));
+        } else {
+            cb();
+        }
+    });
+}
+
+exports.run_hook = run_hook;
@@ -0,0 +1,122 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+var http = require('http');
+
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Routes are matched in order, alarm ids are the 1 based numbers shown in Roon
+const routes = [
+    { method: "GET",    path: /^\/alarms$/,                 handler: "list_alarms"     },
+    { method: "POST",   path: /^\/alarms$/,                 handler: "create_alarm"    },
+    { method: "GET",    path: /^\/alarms\/(\d+)$/,          handler: "get_alarm"       },
+    { method: "PATCH",  path: /^\/alarms\/(\d+)$/,          handler: "update_alarm"    },
+    { method: "DELETE", path: /^\/alarms\/(\d+)$/,          handler: "delete_alarm"    },
+    { method: "POST",   path: /^\/alarms\/(\d+)\/snooze$/,  handler: "snooze_alarm"    },
+    { method: "POST",   path: /^\/alarms\/(\d+)\/trigger$/, handler: "trigger_alarm"   },
+    { method: "POST",   path: /^\/alarms\/(\d+)\/cancel$/,  handler: "cancel_routine"  },
+    { method: "GET",    path: /^\/pending$/,                handler: "get_pending"     },
+    { method: "GET",    path: /^\/history$/,                handler: "get_history"     },
+    { method: "GET",    path: /^\/history\.csv$/,           handler: "get_history_csv" }
+];
+
+function send(res, status, body, type) {
+    if (type) {
+        // Already formatted
+        res.writeHead(status, { "Content-Type": type });
+        res.end(body);
+    } else {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body, null, 4) + "\n");
+    }
+}
+
+function read_body(req, cb) {
+    let body = "";
+
+    req.on('data', function(chunk) {
+        body += chunk;
+
+        if (body.length > MAX_BODY_SIZE) {
+            cb("Request body too large");
+            req.destroy();
+        }
+    });
+    req.on('end', function() {
+        let data;
+
+        if (body.length > MAX_BODY_SIZE) {
+            return;
+        }
+
+        try {
+            data = (body.length ? JSON.parse(body) : {});
+        } catch (err) {
+            return cb("Request body is not valid JSON");
+        }
+
+        cb(null, data);
+    });
+}
+
+// Handlers get the alarm index and the request body, and return the status and body to send
+function create_server(api) {
+    return http.createServer(function(req, res) {
+        const path = req.url.split("?")[0].replace(/\/+$/, "");
+        let path_found = false;
+
+        for (const route of routes) {
+            const match = path.match(route.path);
+
+            if (match) {
+                path_found = true;
+
+                if (route.method == req.method) {
+                    const index = (match[1] != null ? match[1] - 1 : undefined);
+
+                    read_body(req, function(error, body) {
+                        if (error) {
+                            send(res, 400, { errors: [error] });
+                        } else if (body === null || typeof body != "object" || Array.isArray(body)) {
+                            send(res, 400, { errors: ["Request body should be a JSON object"] });
+                        } else {
+                            let result;
+
+                            try {
+                                result = api[route.handler](index, body);
+                            } catch (err) {
+                                // Keep serving, a failing request shouldn't take the extension down
+                                console.log("HTTP API " + req.method + " " + path + " failed: " + err.stack);
+                                result = { status: 500, body: { errors: ["Internal error: " + err.message] } };
+                            }
+
+                            send(res, result.status, result.body, result.type);
+                        }
+                    });
+                    return;
+                }
+            }
+        }
+
+        if (path_found) {
+            send(res, 405, { errors: ["Method not allowed"] });
+        } else {
+            send(res, 404, { errors: ["Not found"] });
+        }
+    });
+}
+
+exports.create_server = create_server;
@@ -0,0 +1,150 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+// Configuration migration steps, migrations[n] upgrades a configuration from revision n to n + 1.
+// A configuration without a revision is revision 0. Steps use the literal values of their
+// time, so they keep working when constants of the extension change later on.
+const migrations = [
+    // 0 -> 1: Combine separate hours and minutes into a time string
+    function(settings) {
+        for_each_flat_alarm(settings, function(i) {
+            if (settings["wake_time_hours_" + i] != null) {
+                settings["wake_time_" + i] = "" + settings["wake_time_hours_" + i] +
+                                             ":" + settings["wake_time_minutes_" + i];
+            }
+        });
+    },
+    // 1 -> 2: Replace fade time by transition type and time
+    function(settings) {
+        for_each_flat_alarm(settings, function(i) {
+            const fade_time = settings["fade_time_" + i];
+
+            if (fade_time != null) {
+                settings["transition_type_" + i] = (fade_time > 0 ? 1 : 0);    // Fading : Instant
+                settings["transition_time_" + i] = fade_time;
+            }
+
+            // Cleanup obsolete settings
+            delete settings["wake_time_hours_" + i];
+            delete settings["wake_time_minutes_" + i];
+            delete settings["fade_time_" + i];
+        });
+    },
+    // 2 -> 3: Add snooze settings
+    function(settings) {
+        for_each_flat_alarm(settings, function(i) {
+            settings["snooze_count_" + i] = "0";
+            settings["snooze_time_"  + i] = "9";
+        });
+    },
+    // 3 -> 4: Store the alarms as an array of objects instead of index suffixed keys
+    function(settings) {
+        const fields = {
+            active:          "timer_active_",
+            zone:            "zone_",
+            action:          "wake_action_",
+            day:             "wake_day_",
+            time:            "wake_time_",
+            volume:          "wake_volume_",
+            transition_type: "transition_type_",
+            transition_time: "transition_time_",
+            transfer_zone:   "transfer_zone_",
+            repeat:          "repeat_",
+            max_snoozes:     "snooze_count_",
+            snooze_time:     "snooze_time_"
+        };
+        let alarms = [];
+
+        for_each_flat_alarm(settings, function(i) {
+            let alarm = {};
+
+            for (const field in fields) {
+                const key = fields[field] + i;
+
+                if (settings[key] !== undefined) {
+                    alarm[field] = settings[key];
+                }
+                delete settings[key];
+            }
+
+            alarms.push(alarm);
+        });
+
+        delete settings.alarm_count;
+        settings.alarms = alarms;
+    },
+    // 4 -> 5: Replace the day presets by a weekday bitmask
+    function(settings) {
+        const days = [
+            0x01, 0x02, 0x04, 0x08, 0x10, 0x20, 0x40,   // Sunday till Saturday
+            0x00,                                       // Once
+            0x7f,                                       // Daily
+            0x3e,                                       // Monday till Friday
+            0x41                                        // Weekend
+        ];
+
+        settings.alarms.forEach(function(alarm) {
+            if (alarm.day != null) {
+                alarm.days = days[alarm.day];
+                delete alarm.day;
+            }
+        });
+    }
+];
+
+const CONFIG_REV = migrations.length;
+
+function for_each_flat_alarm(settings, cb) {
+    let alarm_count = settings.alarm_count;
+
+    if (alarm_count == null) {
+        // Before the dynamically sized alarm list
+        alarm_count = 0;
+
+        while (settings["timer_active_" + alarm_count] != null) {
+            alarm_count++;
+        }
+    }
+
+    for (let i = 0; i < alarm_count; i++) {
+        cb(i);
+    }
+}
+
+// Returns true if the settings changed, check is_too_new() first
+function migrate(settings) {
+    let config_rev = settings.config_rev || 0;
+
+    if (config_rev >= CONFIG_REV) {
+        return false;
+    }
+
+    for (; config_rev < CONFIG_REV; config_rev++) {
+        migrations[config_rev](settings);
+        settings.config_rev = config_rev + 1;
+    }
+
+    return true;
+}
+
+function is_too_new(settings) {
+    return settings.config_rev > CONFIG_REV;
+}
+
+exports.CONFIG_REV = CONFIG_REV;
+exports.migrations = migrations;
+exports.migrate    = migrate;
+exports.is_too_new = is_too_new;
@@ -0,0 +1,71 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+var mqtt = require('mqtt');
+
+const COMMANDS = ['skip', 'snooze', 'trigger', 'enable', 'cancel'];
+
+// Commands below the base topic are passed to on_command, returns an object to publish events with
+function create_client(url, username, password, base_topic, on_command) {
+    const status_topic = base_topic + "/status";
+    const alarms_topic = base_topic + "/alarms/";
+    const client = mqtt.connect(url, {
+        username: username || undefined,
+        password: password || undefined,
+        will:     { topic: status_topic, payload: "offline", retain: true }
+    });
+
+    client.on('connect', function() {
+        console.log("MQTT connected to " + url);
+
+        client.publish(status_topic, "online", { retain: true });
+        client.subscribe(alarms_topic + "+/command/+");
+    });
+    client.on('error', function(err) {
+        console.log("MQTT error: " + err.message);
+    });
+    client.on('message', function(topic, message) {
+        // <base_topic>/alarms/<id>/command/<command>, alarm ids are the 1 based numbers shown in Roon
+        const parts = topic.substring(alarms_topic.length).split("/");
+        const id = parseInt(parts[0], 10);
+
+        if (topic.startsWith(alarms_topic) && id > 0 && COMMANDS.includes(parts[2])) {
+            try {
+                on_command(id - 1, parts[2], message.toString().trim());
+            } catch (err) {
+                // Keep listening, a failing command shouldn't take the extension down
+                console.log("MQTT command failed: " + topic + ": " + err.stack);
+            }
+        } else {
+            console.log("MQTT command not supported: " + topic);
+        }
+    });
+
+    return {
+        publish: function(index, event, data) {
+            const topic = alarms_topic + (index + 1) + "/event/" + event;
+
+            client.publish(topic, JSON.stringify(Object.assign({ time: new Date().toISOString() }, data)));
+        },
+        end: function() {
+            // Close gracefully, the will is only for connections that get lost
+            client.publish(status_topic, "offline", { retain: true });
+            client.end();
+        }
+    };
+}
+
+exports.create_client = create_client;
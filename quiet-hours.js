@@ -0,0 +1,59 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const { parse_time_string } = require('./time-string');
+
+// Windows like "22:00-07:00, 13:00-14:30" in minutes since midnight, they can span midnight
+function parse_quiet_hours(quiet_string) {
+    let windows = [];
+    const entries = (quiet_string || "").split(/[,;\n]/);
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i].trim();
+
+        if (entry.length) {
+            const match = entry.match(/^(.+?)\s*-\s*(.+)$/);
+            const start = (match ? parse_time_string(match[1], false) : null);
+            const end = (match ? parse_time_string(match[2], false) : null);
+
+            if (!start || start.error || start.sun || !end || end.error || end.sun) {
+                return { error: "Invalid quiet hours: '" + entry + "'" };
+            }
+
+            windows.push({
+                start: start.hours * 60 + start.minutes,
+                end:   end.hours * 60 + end.minutes
+            });
+        }
+    }
+
+    return { windows: windows };
+}
+
+function is_quiet_time(windows, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    return windows.some(function(window) {
+        if (window.start <= window.end) {
+            return (minutes >= window.start && minutes < window.end);
+        }
+
+        return (minutes >= window.start || minutes < window.end);
+    });
+}
+
+exports.parse_quiet_hours = parse_quiet_hours;
+exports.is_quiet_time     = is_quiet_time;
@@ -0,0 +1,103 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const { ACTION_PLAY, ONCE, TRANS_FADING, UNIT_SECONDS } = require('./constants');
+const { validate_time_string } = require('./time-string');
+const { get_sun_time } = require('./sun-times');
+const { parse_date } = require('./holidays');
+
+const MAX_SKIP_DAYS = 366;
+
+function get_transition_time(alarm) {
+    return +alarm.transition_time * (alarm.transition_unit == UNIT_SECONDS ? 1 : 60) * 1000;
+}
+
+// A fading Play alarm starts early, to reach its volume at the configured time
+function get_lead_time(alarm) {
+    if (alarm.action == ACTION_PLAY && alarm.transition_type == TRANS_FADING) {
+        return get_transition_time(alarm);
+    }
+
+    return 0;
+}
+
+// Next fire time seen from now, null if there is none. Wall clock times are kept across DST transitions,
+// is_skipped can move a recurring alarm on to its next day, sun times need a location.
+function next_occurrence(alarm, now, is_skipped, location) {
+    const valid_time = validate_time_string(alarm.time, alarm.days == ONCE);
+    const now_time = new Date(now).getTime();
+    let date = new Date(now_time);
+
+    if (!valid_time || (valid_time.sun && !location)) {
+        return null;
+    }
+
+    date.setSeconds(0);
+    date.setMilliseconds(0);
+
+    if (valid_time.relative) {
+        return date.getTime() + ((valid_time.hours * 60 + valid_time.minutes) * 60 + valid_time.seconds) * 1000;
+    }
+
+    const lead_time = get_lead_time(alarm);
+
+    // A week later is the same weekday again, when the start time on that weekday has passed
+    // it is 7 days later, or 8 days when the lead time makes the alarm start the day before.
+    // Skipped dates, or days without sunrise or sunset, can push it further, give up after a year.
+    let max_days = ((is_skipped && alarm.days != ONCE) || valid_time.sun ? MAX_SKIP_DAYS : 8);
+
+    if (alarm.days == ONCE && alarm.date) {
+        date = parse_date(alarm.date);
+        max_days = 0;
+
+        if (!date) {
+            return null;
+        }
+    }
+
+    for (let days_to_skip = 0; days_to_skip <= max_days; days_to_skip++) {
+        let wake_date;
+
+        if (valid_time.sun) {
+            const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + days_to_skip);
+            const sun_time = get_sun_time(valid_time.sun, day, location.latitude, location.longitude);
+
+            if (sun_time == null) {
+                continue;
+            }
+
+            // Alarms fire on whole minutes
+            wake_date = new Date(Math.round(sun_time / 60000 + valid_time.offset) * 60000);
+        } else {
+            wake_date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + days_to_skip,
+                                 valid_time.hours, valid_time.minutes, valid_time.seconds);
+        }
+
+        const fire_time = wake_date.getTime() - lead_time;
+
+        if (fire_time > now_time && (alarm.days == ONCE ||
+                                     ((alarm.days & (1 << wake_date.getDay())) &&
+                                      !(is_skipped && is_skipped(wake_date))))) {
+            return fire_time;
+        }
+    }
+
+    return null;
+}
+
+exports.get_transition_time = get_transition_time;
+exports.get_lead_time       = get_lead_time;
+exports.next_occurrence     = next_occurrence;
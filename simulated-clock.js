@@ -0,0 +1,144 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+// Intervals run at most once per millisecond, to keep a zero interval from looping forever
+const MIN_INTERVAL = 1;
+
+// Replaces Date and the timers once installed, time only moves on when advanced
+function create_clock(start_time) {
+    const real = {
+        Date:          Date,
+        setTimeout:    setTimeout,
+        clearTimeout:  clearTimeout,
+        setInterval:   setInterval,
+        clearInterval: clearInterval
+    };
+    let now = (start_time != null ? new real.Date(start_time).getTime() : real.Date.now());
+    let timers = [];
+    let next_id = 1;
+
+    function SimulatedDate(...args) {
+        if (!(this instanceof SimulatedDate)) {
+            // Called as a function Date returns a string
+            return new real.Date(now).toString();
+        }
+
+        return (args.length ? new real.Date(...args) : new real.Date(now));
+    }
+
+    SimulatedDate.prototype = real.Date.prototype;
+    SimulatedDate.UTC = real.Date.UTC;
+    SimulatedDate.parse = real.Date.parse;
+    SimulatedDate.now = () => now;
+
+    function add_timer(cb, delay, args, interval) {
+        let timer = {
+            id:       next_id++,
+            time:     now + Math.max(+delay || 0, 0),
+            cb:       cb,
+            args:     args,
+            interval: (interval ? Math.max(+delay || 0, MIN_INTERVAL) : null)
+        };
+
+        timers.push(timer);
+
+        // Like the Timeout objects of Node.js, which libraries may call these methods on
+        return {
+            ref:                   function() { return this; },
+            unref:                 function() { return this; },
+            hasRef:                () => true,
+            refresh:               function() { timer.time = now + Math.max(+delay || 0, 0); return this; },
+            [Symbol.toPrimitive]: () => timer.id,
+            timer:                 timer
+        };
+    }
+
+    function remove_timer(handle) {
+        const timer = (handle && handle.timer);
+
+        timers = timers.filter((t) => t !== timer);
+    }
+
+    function advance_to(time) {
+        let due;
+
+        // A timer may add or remove other timers, look for the next one every time
+        while ((due = next_due(time))) {
+            now = due.time;
+
+            if (due.interval) {
+                due.time += due.interval;
+            } else {
+                timers = timers.filter((t) => t !== due);
+            }
+
+            due.cb.apply(null, due.args);
+        }
+
+        now = Math.max(now, time);
+    }
+
+    function next_due(time) {
+        let due = null;
+
+        timers.forEach(function(timer) {
+            if (timer.time <= time && (!due || timer.time < due.time ||
+                                       (timer.time == due.time && timer.id < due.id))) {
+                due = timer;
+            }
+        });
+
+        return due;
+    }
+
+    return {
+        install: function() {
+            global.Date = SimulatedDate;
+            global.setTimeout = (cb, delay, ...args) => add_timer(cb, delay, args, false);
+            global.clearTimeout = remove_timer;
+            global.setInterval = (cb, delay, ...args) => add_timer(cb, delay, args, true);
+            global.clearInterval = remove_timer;
+        },
+        uninstall: function() {
+            for (const name in real) {
+                global[name] = real[name];
+            }
+        },
+        now: () => now,
+        advance: function(ms) {
+            advance_to(now + ms);
+        },
+        advance_to: function(time) {
+            advance_to(new real.Date(time).getTime());
+        },
+        // Intervals excluded, returns the milliseconds the clock moved on
+        run_all: function(limit_ms) {
+            const start = now;
+            const end = now + limit_ms;
+            let timer;
+
+            while ((timer = timers.filter((t) => !t.interval && t.time <= end)
+                                  .sort((a, b) => a.time - b.time || a.id - b.id)[0])) {
+                advance_to(timer.time);
+            }
+
+            return now - start;
+        },
+        pending_count: () => timers.length
+    };
+}
+
+exports.create_clock = create_clock;
@@ -0,0 +1,336 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const LATENCY = 10;     // Milliseconds before the simulated Core responds
+
+// Transport service of a Core for offline testing, responses and changes come after a short latency.
+// The other functions simulate what happens around it, like somebody turning a volume knob.
+function create_core(zones) {
+    let subscribers = [];
+    let calls = [];
+
+    zones.forEach(init_zone);
+
+    function init_zone(zone) {
+        zone.display_name = zone.display_name || zone.zone_id;
+        zone.state = zone.state || 'stopped';
+        zone.settings = Object.assign({ auto_radio: false }, zone.settings);
+        zone.queue = zone.queue || [];
+        zone.outputs.forEach(function(output) {
+            output.zone_id = zone.zone_id;
+            output.display_name = output.display_name || output.output_id;
+
+            if (output.supports_standby == null) {
+                output.supports_standby = true;
+            }
+        });
+
+        if (!zone.now_playing && zone.queue.length) {
+            zone.now_playing = { seek_position: 0, length: zone.queue[0].length };
+        }
+
+        update_flags(zone);
+    }
+
+    function update_flags(zone) {
+        const has_track = (zone.now_playing != null);
+
+        zone.is_play_allowed = (zone.state != 'playing' && has_track);
+        zone.is_pause_allowed = (zone.state == 'playing');
+        zone.is_previous_allowed = has_track;
+        zone.is_next_allowed = (zone.queue.length > 1);
+    }
+
+    function find_zone(zone_or_output) {
+        const id = (zone_or_output && (zone_or_output.zone_id || zone_or_output.output_id));
+
+        return zones.find(function(zone) {
+            return (zone.zone_id == id || zone.outputs.some((output) => output.output_id == id));
+        });
+    }
+
+    function find_output(output_id) {
+        for (const zone of zones) {
+            const output = zone.outputs.find((output) => output.output_id == output_id);
+
+            if (output) {
+                return output;
+            }
+        }
+
+        return undefined;
+    }
+
+    function respond(cb, error) {
+        if (cb) {
+            setTimeout(cb, LATENCY, error || false);
+        }
+    }
+
+    function notify(msg) {
+        setTimeout(function() {
+            subscribers.forEach((cb) => cb("Changed", msg));
+        }, LATENCY);
+    }
+
+    function changed(zone) {
+        update_flags(zone);
+        notify({ zones_changed: [zone] });
+    }
+
+    function record(method, target, args) {
+        calls.push({ time: Date.now(), method: method, target: target, args: args });
+    }
+
+    function start_track(zone, queue_index) {
+        const item = zone.queue[queue_index];
+
+        if (item) {
+            zone.queue = zone.queue.slice(queue_index);
+            zone.now_playing = { seek_position: 0, length: item.length };
+        } else {
+            // End of the queue
+            zone.queue = [];
+            zone.now_playing = undefined;
+            zone.state = 'stopped';
+        }
+    }
+
+    const transport = {
+        subscribe_zones: function(cb) {
+            subscribers.push(cb);
+            setTimeout(cb, LATENCY, "Subscribed", { zones: zones });
+
+            return { unsubscribe: () => subscribers = subscribers.filter((s) => s !== cb) };
+        },
+        zone_by_output_id: function(output_id) {
+            return find_zone({ output_id: output_id });
+        },
+        zone_by_zone_id: function(zone_id) {
+            return find_zone({ zone_id: zone_id });
+        },
+        control: function(zone_or_output, control, cb) {
+            const zone = find_zone(zone_or_output);
+
+            record('control', zone_or_output, [control]);
+
+            if (!zone) {
+                return respond(cb, "InvalidRequest");
+            }
+
+            switch (control) {
+                case 'play':
+                    if (!zone.is_play_allowed) {
+                        return respond(cb, "NotAllowed");
+                    }
+                    zone.state = 'playing';
+                    break;
+                case 'pause':
+                    zone.state = (zone.state == 'playing' ? 'paused' : zone.state);
+                    break;
+                case 'stop':
+                    zone.state = 'stopped';
+                    break;
+                case 'playpause':
+                    zone.state = (zone.state == 'playing' ? 'paused' : 'playing');
+                    break;
+                case 'previous':
+                    if (zone.now_playing) {
+                        zone.now_playing.seek_position = 0;
+                    }
+                    break;
+                case 'next':
+                    start_track(zone, 1);
+                    break;
+                default:
+                    return respond(cb, "InvalidRequest");
+            }
+
+            changed(zone);
+            respond(cb);
+        },
+        change_volume: function(output, how, value, cb) {
+            const zone = find_zone(output);
+            const target = find_output(output.output_id);
+            const volume = (target && target.volume);
+
+            record('change_volume', output, [how, value]);
+
+            if (!volume) {
+                return respond(cb, "InvalidRequest");
+            }
+
+            if (how == "absolute") {
+                volume.value = value;
+            } else if (how == "relative") {
+                volume.value += value;
+            } else {
+                volume.value += value * (volume.step || 1);
+            }
+            volume.value = Math.min(Math.max(volume.value, volume.min), volume.max);
+
+            changed(zone);
+            respond(cb);
+        },
+        standby: function(output, opts, cb) {
+            const zone = find_zone(output);
+            const target = find_output(output.output_id);
+
+            record('standby', output, [opts]);
+
+            if (!target || !target.supports_standby) {
+                return respond(cb, "NotSupported");
+            }
+
+            zone.state = 'stopped';
+            target.in_standby = true;
+
+            changed(zone);
+            respond(cb);
+        },
+        transfer_zone: function(from, to, cb) {
+            const from_zone = find_zone(from);
+            const to_zone = find_zone(to);
+
+            record('transfer_zone', from, [to]);
+
+            if (!from_zone || !to_zone) {
+                return respond(cb, "InvalidRequest");
+            }
+
+            to_zone.state = from_zone.state;
+            to_zone.queue = from_zone.queue;
+            to_zone.now_playing = from_zone.now_playing;
+            from_zone.state = 'stopped';
+            from_zone.queue = [];
+            from_zone.now_playing = undefined;
+
+            update_flags(from_zone);
+            update_flags(to_zone);
+            notify({ zones_changed: [from_zone, to_zone] });
+            respond(cb);
+        },
+        group_outputs: function(outputs, cb) {
+            const zone = find_zone(outputs[0]);
+
+            record('group_outputs', outputs[0], [outputs.slice(1)]);
+
+            if (!zone) {
+                return respond(cb, "InvalidRequest");
+            }
+
+            let removed = [];
+
+            outputs.slice(1).forEach(function(output) {
+                const other = find_zone(output);
+
+                if (other && other !== zone) {
+                    const index = other.outputs.findIndex((o) => o.output_id == output.output_id);
+
+                    zone.outputs.push(other.outputs.splice(index, 1)[0]);
+                    zone.outputs[zone.outputs.length - 1].zone_id = zone.zone_id;
+
+                    if (!other.outputs.length) {
+                        zones.splice(zones.indexOf(other), 1);
+                        removed.push(other.zone_id);
+                    }
+                }
+            });
+
+            notify({ zones_changed: [zone], zones_removed: removed });
+            respond(cb);
+        },
+        change_settings: function(zone_or_output, settings, cb) {
+            const zone = find_zone(zone_or_output);
+
+            record('change_settings', zone_or_output, [settings]);
+
+            if (!zone) {
+                return respond(cb, "InvalidRequest");
+            }
+
+            Object.assign(zone.settings, settings);
+
+            changed(zone);
+            respond(cb);
+        },
+        subscribe_queue: function(zone_or_output, max_item_count, cb) {
+            const zone = find_zone(zone_or_output);
+
+            setTimeout(function() {
+                if (zone) {
+                    cb("Subscribed", { items: zone.queue.slice(0, max_item_count) });
+                } else {
+                    cb("Unsubscribed", {});
+                }
+            }, LATENCY);
+
+            return { unsubscribe: () => undefined };
+        }
+    };
+
+    return {
+        core_id:         "simulated-core",
+        display_name:    "Simulated Core",
+        display_version: "1.0",
+        services:        { RoonApiTransport: transport },
+        calls:           calls,
+        zones:           zones,
+
+        // Pairs with the extension, roon is the RoonApi instance of the extension.
+        pair: function(roon) {
+            roon.extension_opts.core_paired(this);
+        },
+        unpair: function(roon) {
+            roon.extension_opts.core_unpaired(this);
+        },
+        // Moves playback forward, playing zones continue with the next queue item at the end of a track.
+        play_for: function(seconds) {
+            zones.forEach(function(zone) {
+                if (zone.state == 'playing' && zone.now_playing) {
+                    let position = zone.now_playing.seek_position + seconds;
+
+                    while (zone.now_playing && zone.now_playing.length && position >= zone.now_playing.length) {
+                        position -= zone.now_playing.length;
+                        start_track(zone, 1);
+                    }
+
+                    if (zone.now_playing) {
+                        zone.now_playing.seek_position = position;
+                    }
+
+                    changed(zone);
+                }
+            });
+        },
+        // Somebody turning the volume knob of an output.
+        turn_volume: function(output_id, value) {
+            const output = find_output(output_id);
+
+            output.volume.value = value;
+            changed(find_zone({ output_id: output_id }));
+        },
+        // Changes zone properties from outside of the extension, like somebody pausing playback.
+        update_zone: function(zone_id, properties) {
+            const zone = find_zone({ zone_id: zone_id });
+
+            Object.assign(zone, properties);
+            changed(zone);
+        }
+    };
+}
+
+exports.create_core = create_core;
@@ -0,0 +1,79 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const { SLEEP_TRACKS, SLEEP_ALBUM, SLEEP_QUEUE } = require('./constants');
+
+function get_album(item) {
+    return (item.three_line ? item.three_line.line3 : undefined);
+}
+
+// Queue item after which playback stops, the first item is the one that is playing
+function get_last_item(mode, tracks, items) {
+    let last = null;
+
+    if (items && items.length) {
+        switch (mode) {
+            case SLEEP_TRACKS:
+                // Stop at the end of the queue if it holds less tracks
+                last = items[Math.min(Math.max(tracks, 1), items.length) - 1];
+                break;
+            case SLEEP_ALBUM:
+                const album = get_album(items[0]);
+
+                last = items[0];
+
+                for (let i = 1; i < items.length && album && get_album(items[i]) == album; i++) {
+                    last = items[i];
+                }
+                break;
+            case SLEEP_QUEUE:
+                last = items[items.length - 1];
+                break;
+        }
+    }
+
+    return (last ? last.queue_item_id : null);
+}
+
+// Seconds left until the end of the item, null if unknown (not queued anymore, or radio)
+function get_time_left(items, last_item, now_playing) {
+    if (!items || !items.length || !now_playing || !now_playing.length) {
+        return null;
+    }
+
+    let time_left = now_playing.length - (now_playing.seek_position || 0);
+
+    if (items[0].queue_item_id == last_item) {
+        return time_left;
+    }
+
+    for (let i = 1; i < items.length; i++) {
+        if (!items[i].length) {
+            return null;
+        }
+
+        time_left += items[i].length;
+
+        if (items[i].queue_item_id == last_item) {
+            return time_left;
+        }
+    }
+
+    return null;
+}
+
+exports.get_last_item = get_last_item;
+exports.get_time_left = get_time_left;
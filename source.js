@@ -0,0 +1,130 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const { SOURCE_PLAYLIST, SOURCE_RADIO, SOURCE_ALBUM, SOURCE_GENRE } = require('./constants');
+
+const PAGE_SIZE = 100;
+const MAX_DEPTH = 3;
+
+// Browse hierarchy per source type and the action that starts playback
+const SOURCES = {};
+SOURCES[SOURCE_PLAYLIST] = { hierarchy: "playlists",      actions: ["Play Now"] };
+SOURCES[SOURCE_RADIO]    = { hierarchy: "internet_radio", actions: ["Play Now", "Play"] };
+SOURCES[SOURCE_ALBUM]    = { hierarchy: "albums",         actions: ["Play Now"] };
+SOURCES[SOURCE_GENRE]    = { hierarchy: "genres",         actions: ["Shuffle", "Play Now"] };
+
+// Looks the item up by title in the browse hierarchy of the source type and plays it
+function play_source(browse, zone_or_output_id, source, name, cb) {
+    const source_info = SOURCES[source];
+
+    if (!source_info) {
+        cb("Unknown source type: " + source);
+        return;
+    }
+
+    const opts = {
+        hierarchy:         source_info.hierarchy,
+        zone_or_output_id: zone_or_output_id,
+        multi_session_key: "alarm-clock"        // Don't interfere with browsing by the user
+    };
+
+    browse.browse(Object.assign({ pop_all: true }, opts), function(error, body) {
+        if (error) {
+            cb(error);
+        } else {
+            find_item(browse, opts, name.trim(), body.list ? body.list.count : 0, 0,
+                      function(error, item) {
+                if (error) {
+                    cb(error);
+                } else {
+                    select_item(browse, opts, item, source_info.actions, 0, cb);
+                }
+            });
+        }
+    });
+}
+
+function find_item(browse, opts, name, count, offset, cb) {
+    if (offset >= count) {
+        cb("'" + name + "' not found in " + opts.hierarchy);
+        return;
+    }
+
+    browse.load(Object.assign({ offset: offset, count: PAGE_SIZE }, opts), function(error, body) {
+        if (error) {
+            cb(error);
+            return;
+        }
+
+        const items = body.items || [];
+
+        for (let i = 0; i < items.length; i++) {
+            if (items[i].title.toLowerCase() == name.toLowerCase()) {
+                cb(null, items[i]);
+                return;
+            }
+        }
+
+        if (items.length == 0) {
+            cb("'" + name + "' not found in " + opts.hierarchy);
+        } else {
+            find_item(browse, opts, name, count, offset + items.length, cb);
+        }
+    });
+}
+
+function select_item(browse, opts, item, actions, depth, cb) {
+    browse.browse(Object.assign({ item_key: item.item_key }, opts), function(error, body) {
+        if (error) {
+            cb(error);
+        } else if (body.action == "message" && body.is_error) {
+            cb(body.message);
+        } else if (body.action != "list") {
+            // The action has been performed
+            cb();
+        } else if (depth >= MAX_DEPTH) {
+            cb("No play action found for '" + item.title + "'");
+        } else {
+            browse.load(Object.assign({ offset: 0, count: PAGE_SIZE }, opts), function(error, body) {
+                const items = (body && body.items) || [];
+                let next = null;
+
+                if (error) {
+                    cb(error);
+                    return;
+                }
+
+                // Prefer the play action of the source type, otherwise descend into
+                // an action list like 'Play Album' or 'Play Genre'
+                for (let i = 0; i < actions.length && !next; i++) {
+                    next = items.find((entry) => entry.title == actions[i] &&
+                                                 (entry.hint == "action" || entry.hint == "action_list"));
+                }
+                if (!next) {
+                    next = items.find((entry) => entry.hint == "action_list" && entry.title.startsWith("Play"));
+                }
+
+                if (next) {
+                    select_item(browse, opts, next, actions, depth + 1, cb);
+                } else {
+                    cb("No play action found for '" + item.title + "'");
+                }
+            });
+        }
+    });
+}
+
+exports.play_source = play_source;
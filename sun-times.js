@@ -0,0 +1,55 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const J2000 = Date.UTC(2000, 0, 1, 12);     // Epoch of the julian days below
+const DAY = 24 * 60 * 60 * 1000;
+const SUN_ALTITUDE = -0.833;                // Degrees, corrected for refraction and the size of the sun
+const OBLIQUITY = 23.4397;                  // Degrees, tilt of the earth's axis
+
+function sin(degrees) {
+    return Math.sin(degrees * Math.PI / 180);
+}
+
+function cos(degrees) {
+    return Math.cos(degrees * Math.PI / 180);
+}
+
+// Sunrise equation, null if the sun doesn't rise or set that day (polar day or night)
+function get_sun_time(event, date, latitude, longitude) {
+    // Days since J2000 at mean solar noon of the location
+    const noon = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+    const mean_noon = (noon - J2000) / DAY - longitude / 360;
+
+    const anomaly = (357.5291 + 0.98560028 * mean_noon) % 360;
+    const center = 1.9148 * sin(anomaly) + 0.02 * sin(2 * anomaly) + 0.0003 * sin(3 * anomaly);
+    const ecliptic_longitude = (anomaly + center + 180 + 102.9372) % 360;
+    const transit = mean_noon + 0.0053 * sin(anomaly) - 0.0069 * sin(2 * ecliptic_longitude);
+    const declination = Math.asin(sin(ecliptic_longitude) * sin(OBLIQUITY)) * 180 / Math.PI;
+
+    const cos_hour_angle = (sin(SUN_ALTITUDE) - sin(latitude) * sin(declination)) /
+                           (cos(latitude) * cos(declination));
+
+    if (cos_hour_angle < -1 || cos_hour_angle > 1) {
+        return null;
+    }
+
+    const hour_angle = Math.acos(cos_hour_angle) * 180 / Math.PI;
+    const days = transit + (event == "sunrise" ? -hour_angle : hour_angle) / 360;
+
+    return Math.round(J2000 + days * DAY);
+}
+
+exports.get_sun_time = get_sun_time;
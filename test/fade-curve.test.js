@@ -0,0 +1,87 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CURVE_LINEAR, CURVE_LOGARITHMIC, CURVE_S } = require('../constants');
+const { get_fade_volume } = require('../fade-curve');
+
+const CURVES = [CURVE_LINEAR, CURVE_LOGARITHMIC, CURVE_S];
+
+// Volumes of a fade in 100 steps
+function get_volumes(curve, start_volume, end_volume) {
+    let volumes = [];
+
+    for (let step = 0; step <= 100; step++) {
+        volumes.push(get_fade_volume(curve, start_volume, end_volume, step / 100));
+    }
+
+    return volumes;
+}
+
+test.describe("get_fade_volume", function() {
+    test("starts and ends at the given volumes", function() {
+        CURVES.forEach(function(curve) {
+            assert.strictEqual(get_fade_volume(curve, 10, 60, 0), 10);
+            assert.strictEqual(get_fade_volume(curve, 10, 60, 1), 60);
+            assert.strictEqual(get_fade_volume(curve, 60, 10, 0), 60);
+            assert.strictEqual(get_fade_volume(curve, 60, 10, 1), 10);
+            // dB volumes are negative
+            assert.strictEqual(get_fade_volume(curve, -80, -20, 0), -80);
+            assert.strictEqual(get_fade_volume(curve, -80, -20, 1), -20);
+        });
+    });
+
+    test("keeps the progress within the fade", function() {
+        CURVES.forEach(function(curve) {
+            assert.strictEqual(get_fade_volume(curve, 10, 60, -0.5), 10);
+            assert.strictEqual(get_fade_volume(curve, 10, 60, 1.5), 60);
+        });
+    });
+
+    test("only goes up in a fade in and down in a fade out", function() {
+        CURVES.forEach(function(curve) {
+            const fade_in = get_volumes(curve, 0, 100);
+            const fade_out = get_volumes(curve, 100, 0);
+
+            for (let i = 1; i < fade_in.length; i++) {
+                assert.ok(fade_in[i] >= fade_in[i - 1], "curve " + curve + " goes down at step " + i);
+                assert.ok(fade_out[i] <= fade_out[i - 1], "curve " + curve + " goes up at step " + i);
+            }
+        });
+    });
+
+    test("shapes the curve", function() {
+        assert.strictEqual(get_fade_volume(CURVE_LINEAR, 0, 100, 0.25), 25);
+        // Quick rise at first
+        assert.strictEqual(get_fade_volume(CURVE_LOGARITHMIC, 0, 100, 0.25), 51);
+        // Slow start, fastest halfway
+        assert.strictEqual(get_fade_volume(CURVE_S, 0, 100, 0.25), 16);
+        assert.strictEqual(get_fade_volume(CURVE_S, 0, 100, 0.5), 50);
+    });
+
+    test("mirrors the curve of a fade out", function() {
+        // The quiet part is equally short in both directions
+        CURVES.forEach(function(curve) {
+            assert.deepStrictEqual(get_volumes(curve, 100, 0), get_volumes(curve, 0, 100).reverse());
+        });
+    });
+
+    test("takes volumes given as strings", function() {
+        assert.strictEqual(get_fade_volume(CURVE_LINEAR, "10", "20", 0.5), 15);
+    });
+});
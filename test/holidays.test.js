@@ -0,0 +1,143 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DAILY, ACTION_STOP, TRANS_INSTANT, UNIT_MINUTES } = require('../constants');
+const holidays = require('../holidays');
+const { next_occurrence } = require('../scheduler');
+
+function ics(events) {
+    return ["BEGIN:VCALENDAR", "VERSION:2.0"].concat(events, ["END:VCALENDAR", ""]).join("\r\n");
+}
+
+function skip_reason(ranges, year, month, day) {
+    const range = holidays.find_skip_date(ranges, new Date(year, month - 1, day));
+
+    return (range ? range.reason : null);
+}
+
+test.describe("parse_skip_dates", function() {
+    test("accepts dates and ranges with a reason", function() {
+        const result = holidays.parse_skip_dates("2026-12-25 Christmas, 20261228..2026-12-31;2027-01-01");
+
+        assert.deepStrictEqual(result.ranges, [
+            { start: 20261225, end: 20261225, reason: "Christmas" },
+            { start: 20261228, end: 20261231, reason: "skip date" },
+            { start: 20270101, end: 20270101, reason: "skip date" }
+        ]);
+    });
+
+    test("rejects invalid dates and reversed ranges", function() {
+        assert.match(holidays.parse_skip_dates("2026-02-30").error, /'2026-02-30'/);
+        assert.match(holidays.parse_skip_dates("2026-12-31..2026-12-01").error, /Invalid skip date/);
+        assert.match(holidays.parse_skip_dates("tomorrow").error, /Invalid skip date/);
+    });
+
+    test("accepts nothing", function() {
+        assert.deepStrictEqual(holidays.parse_skip_dates(""), { ranges: [] });
+        assert.deepStrictEqual(holidays.parse_skip_dates(undefined), { ranges: [] });
+    });
+});
+
+test.describe("parse_ics", function() {
+    test("takes the all day events with an exclusive end date", function() {
+        const ranges = holidays.parse_ics(ics([
+            "BEGIN:VEVENT", "DTSTART;VALUE=DATE:20261224", "DTEND;VALUE=DATE:20261227",
+            "SUMMARY:Christmas holiday", "END:VEVENT",
+            "BEGIN:VEVENT", "DTSTART;VALUE=DATE:20261231", "SUMMARY:New Year's Eve", "END:VEVENT",
+            "BEGIN:VEVENT", "DTSTART;VALUE=DATE:20261105", "DTEND;VALUE=DATE:20261106", "END:VEVENT"
+        ]));
+
+        assert.deepStrictEqual(ranges, [
+            { start: 20261224, end: 20261226, reason: "Christmas holiday", yearly: undefined },
+            { start: 20261231, end: 20261231, reason: "New Year's Eve", yearly: undefined },
+            { start: 20261105, end: 20261105, reason: "holiday", yearly: undefined }
+        ]);
+    });
+
+    test("unfolds continued lines and unescapes the summary", function() {
+        const ranges = holidays.parse_ics(ics([
+            "BEGIN:VEVENT", "DTSTART;VALUE=DATE:20260501", "SUMMARY:Labour Day\\, also known as Interna",
+            " tional Workers' Day", "END:VEVENT"
+        ]));
+
+        assert.strictEqual(ranges[0].reason, "Labour Day, also known as International Workers' Day");
+    });
+
+    test("repeats yearly events from their first year onwards", function() {
+        const ranges = holidays.parse_ics(ics([
+            "BEGIN:VEVENT", "DTSTART;VALUE=DATE:20201231", "DTEND;VALUE=DATE:20210102",
+            "RRULE:FREQ=YEARLY", "SUMMARY:New Year", "END:VEVENT"
+        ]));
+
+        assert.strictEqual(ranges[0].yearly, true);
+        assert.strictEqual(skip_reason(ranges, 2026, 12, 31), "New Year");
+        // Running into the next year
+        assert.strictEqual(skip_reason(ranges, 2027, 1, 1), "New Year");
+        assert.strictEqual(skip_reason(ranges, 2027, 1, 2), null);
+        assert.strictEqual(skip_reason(ranges, 2019, 12, 31), null);
+    });
+});
+
+test.describe("find_skip_date", function() {
+    const ranges = holidays.parse_skip_dates("2026-10-26..2026-10-30 Autumn break").ranges;
+
+    test("finds the dates within a range", function() {
+        assert.strictEqual(skip_reason(ranges, 2026, 10, 26), "Autumn break");
+        assert.strictEqual(skip_reason(ranges, 2026, 10, 30), "Autumn break");
+        assert.strictEqual(skip_reason(ranges, 2026, 10, 31), null);
+        // Not yearly
+        assert.strictEqual(skip_reason(ranges, 2027, 10, 27), null);
+    });
+
+    test("skips an alarm on a holiday to its next day", function() {
+        const alarm = {
+            action:          ACTION_STOP,
+            days:            DAILY,
+            time:            "07:00",
+            transition_type: TRANS_INSTANT,
+            transition_time: "0",
+            transition_unit: UNIT_MINUTES,
+            date:            ""
+        };
+        const is_skipped = (date) => holidays.find_skip_date(ranges, date) != null;
+        const next = next_occurrence(alarm, new Date(2026, 9, 25, 8, 0).getTime(), is_skipped);
+
+        assert.strictEqual(next, new Date(2026, 9, 31, 7, 0).getTime());
+    });
+});
+
+test("load_skip_dates combines the settings and the calendar file", function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "holidays-"));
+    const file = path.join(dir, "holidays.ics");
+
+    try {
+        fs.writeFileSync(file, ics(["BEGIN:VEVENT", "DTSTART;VALUE=DATE:20261225", "SUMMARY:Christmas", "END:VEVENT"]));
+
+        const result = holidays.load_skip_dates("2026-12-31", file);
+
+        assert.deepStrictEqual(result.ranges.map((range) => range.start), [20261231, 20261225]);
+        assert.match(holidays.load_skip_dates("", path.join(dir, "missing.ics")).error,
+                     /^Can't read holiday calendar/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
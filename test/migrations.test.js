@@ -0,0 +1,84 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { CONFIG_REV, migrations, migrate, is_too_new } = require('../migrations');
+
+// Read fresh every time, the migrations work in place
+function load_fixture(config_rev) {
+    const file = path.join(__dirname, 'fixtures', 'settings-rev' + config_rev + '.json');
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+test.describe("migrations", function() {
+    for (let config_rev = 0; config_rev < CONFIG_REV; config_rev++) {
+        test("upgrades revision " + config_rev + " to " + (config_rev + 1), function() {
+            let settings = load_fixture(config_rev);
+
+            migrations[config_rev](settings);
+            settings.config_rev = config_rev + 1;
+
+            assert.deepStrictEqual(settings, load_fixture(config_rev + 1));
+        });
+    }
+
+    test("has a fixture for the current revision", function() {
+        assert.strictEqual(load_fixture(CONFIG_REV).config_rev, CONFIG_REV);
+    });
+
+    test("upgrades any revision to the current one", function() {
+        for (let config_rev = 0; config_rev < CONFIG_REV; config_rev++) {
+            let settings = load_fixture(config_rev);
+
+            assert.strictEqual(migrate(settings), true);
+            assert.deepStrictEqual(settings, load_fixture(CONFIG_REV));
+        }
+    });
+
+    test("leaves the current revision as is", function() {
+        let settings = load_fixture(CONFIG_REV);
+
+        assert.strictEqual(migrate(settings), false);
+        assert.deepStrictEqual(settings, load_fixture(CONFIG_REV));
+    });
+
+    test("leaves a newer revision to the caller", function() {
+        let settings = load_fixture(CONFIG_REV);
+
+        settings.config_rev = CONFIG_REV + 1;
+
+        assert.strictEqual(is_too_new(settings), true);
+        assert.strictEqual(migrate(settings), false);
+        assert.strictEqual(settings.config_rev, CONFIG_REV + 1);
+    });
+
+    test("takes the number of alarms from alarm_count when present", function() {
+        let settings = load_fixture(3);
+
+        // The second alarm was removed, its keys stayed behind
+        settings.alarm_count = 1;
+        migrations[3](settings);
+
+        assert.strictEqual(settings.alarms.length, 1);
+        assert.strictEqual(settings.alarm_count, undefined);
+        assert.strictEqual(settings.alarms[0].time, "7:30");
+    });
+});
@@ -0,0 +1,78 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parse_quiet_hours, is_quiet_time } = require('../quiet-hours');
+
+function is_quiet_at(quiet_string, hours, minutes) {
+    const quiet = parse_quiet_hours(quiet_string);
+
+    assert.strictEqual(quiet.error, undefined, quiet.error);
+
+    return is_quiet_time(quiet.windows, new Date(2026, 9, 19, hours, minutes));
+}
+
+test.describe("parse_quiet_hours", function() {
+    test("takes windows in minutes since midnight", function() {
+        assert.deepStrictEqual(parse_quiet_hours("22:00-07:00, 13:00 - 14:30"), {
+            windows: [{ start: 22 * 60, end: 7 * 60 }, { start: 13 * 60, end: 14 * 60 + 30 }]
+        });
+        assert.deepStrictEqual(parse_quiet_hours("10pm-7am").windows, [{ start: 22 * 60, end: 7 * 60 }]);
+    });
+
+    test("accepts nothing", function() {
+        assert.deepStrictEqual(parse_quiet_hours(""), { windows: [] });
+        assert.deepStrictEqual(parse_quiet_hours(undefined), { windows: [] });
+    });
+
+    test("rejects what isn't a window of clock times", function() {
+        assert.match(parse_quiet_hours("22:00").error, /^Invalid quiet hours: '22:00'/);
+        assert.match(parse_quiet_hours("22:00-25:00").error, /'22:00-25:00'/);
+        assert.match(parse_quiet_hours("sunset-07:00").error, /'sunset-07:00'/);
+        assert.match(parse_quiet_hours("+1:00-07:00").error, /'\+1:00-07:00'/);
+    });
+});
+
+test.describe("is_quiet_time", function() {
+    test("includes the start and excludes the end of a window", function() {
+        assert.strictEqual(is_quiet_at("13:00-14:30", 12, 59), false);
+        assert.strictEqual(is_quiet_at("13:00-14:30", 13, 0), true);
+        assert.strictEqual(is_quiet_at("13:00-14:30", 14, 29), true);
+        assert.strictEqual(is_quiet_at("13:00-14:30", 14, 30), false);
+    });
+
+    test("continues a window past midnight", function() {
+        assert.strictEqual(is_quiet_at("22:00-07:00", 21, 59), false);
+        assert.strictEqual(is_quiet_at("22:00-07:00", 22, 0), true);
+        assert.strictEqual(is_quiet_at("22:00-07:00", 23, 59), true);
+        assert.strictEqual(is_quiet_at("22:00-07:00", 0, 0), true);
+        assert.strictEqual(is_quiet_at("22:00-07:00", 6, 59), true);
+        assert.strictEqual(is_quiet_at("22:00-07:00", 7, 0), false);
+        assert.strictEqual(is_quiet_at("22:00-07:00", 12, 0), false);
+    });
+
+    test("is quiet within any of the windows", function() {
+        assert.strictEqual(is_quiet_at("23:00-06:00, 13:00-14:00", 1, 0), true);
+        assert.strictEqual(is_quiet_at("23:00-06:00, 13:00-14:00", 13, 30), true);
+        assert.strictEqual(is_quiet_at("23:00-06:00, 13:00-14:00", 9, 0), false);
+    });
+
+    test("is never quiet without windows", function() {
+        assert.strictEqual(is_quiet_at("", 3, 0), false);
+    });
+});
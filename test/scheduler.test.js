@@ -0,0 +1,241 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+// The daylight saving time cases need a zone that has it, set before any date is used
+process.env.TZ = "Europe/Amsterdam";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ACTION_PLAY, ACTION_STOP, ONCE, DAILY, MON_FRI, WEEKEND, SAT, SUN,
+        TRANS_FADING, TRANS_INSTANT, UNIT_MINUTES } = require('../constants');
+const { next_occurrence } = require('../scheduler');
+
+const LOCATION = { latitude: 52.37, longitude: 4.9 };
+
+function create_alarm(properties) {
+    return Object.assign({
+        action:          ACTION_STOP,
+        days:            DAILY,
+        time:            "07:00",
+        transition_type: TRANS_INSTANT,
+        transition_time: "0",
+        transition_unit: UNIT_MINUTES,
+        date:            ""
+    }, properties);
+}
+
+// Local time, month is 1 based
+function local(year, month, day, hours, minutes, seconds) {
+    return new Date(year, month - 1, day, hours, minutes || 0, seconds || 0).getTime();
+}
+
+function hours_between(from, to) {
+    return (to - from) / (3600 * 1000);
+}
+
+test.describe("next_occurrence", function() {
+    test.describe("daylight saving time", function() {
+        test("keeps the wall clock time when the clocks go forward", function() {
+            // Sunday March 29 2026, 02:00 becomes 03:00
+            const now = local(2026, 3, 28, 8, 0);
+            const next = next_occurrence(create_alarm(), now);
+
+            assert.strictEqual(next, local(2026, 3, 29, 7, 0));
+            // A day of 23 hours
+            assert.strictEqual(hours_between(now, next), 22);
+        });
+
+        test("keeps the wall clock time when the clocks go back", function() {
+            // Sunday October 25 2026, 03:00 becomes 02:00
+            const now = local(2026, 10, 24, 8, 0);
+            const next = next_occurrence(create_alarm(), now);
+
+            assert.strictEqual(next, local(2026, 10, 25, 7, 0));
+            // A day of 25 hours
+            assert.strictEqual(hours_between(now, next), 24);
+        });
+
+        test("fires after the gap for a time that is skipped", function() {
+            const next = next_occurrence(create_alarm({ time: "02:30" }), local(2026, 3, 29, 1, 0));
+
+            assert.strictEqual(new Date(next).getHours(), 3);
+            assert.strictEqual(new Date(next).getMinutes(), 30);
+            assert.strictEqual(new Date(next).getDate(), 29);
+        });
+
+        test("fires once for a time that occurs twice", function() {
+            const first = next_occurrence(create_alarm({ time: "02:30" }), local(2026, 10, 25, 1, 0));
+            const second = next_occurrence(create_alarm({ time: "02:30" }), first);
+
+            assert.strictEqual(new Date(first).getDate(), 25);
+            assert.strictEqual(new Date(second).getDate(), 26);
+        });
+
+        test("starts a fade that spans the transition early enough", function() {
+            const alarm = create_alarm({
+                action:          ACTION_PLAY,
+                time:            "03:30",
+                transition_type: TRANS_FADING,
+                transition_time: "60"
+            });
+            const next = next_occurrence(alarm, local(2026, 3, 29, 0, 0));
+
+            // Reaches the volume at 03:30 local time, which is an hour of real time after 01:30
+            assert.strictEqual(next, local(2026, 3, 29, 3, 30) - 60 * 60 * 1000);
+        });
+    });
+
+    test.describe("midnight rollover", function() {
+        test("moves to the next day once the time has passed", function() {
+            assert.strictEqual(next_occurrence(create_alarm({ time: "00:15" }), local(2026, 10, 19, 23, 30)),
+                               local(2026, 10, 20, 0, 15));
+        });
+
+        test("doesn't fire again at the current time", function() {
+            assert.strictEqual(next_occurrence(create_alarm(), local(2026, 10, 19, 7, 0)),
+                               local(2026, 10, 20, 7, 0));
+        });
+
+        test("starts a fade on the day before", function() {
+            const alarm = create_alarm({
+                action:          ACTION_PLAY,
+                time:            "00:05",
+                transition_type: TRANS_FADING,
+                transition_time: "10"
+            });
+
+            assert.strictEqual(next_occurrence(alarm, local(2026, 10, 19, 23, 0)), local(2026, 10, 19, 23, 55));
+        });
+
+        test("rolls over to the next month and year", function() {
+            assert.strictEqual(next_occurrence(create_alarm(), local(2026, 12, 31, 8, 0)),
+                               local(2027, 1, 1, 7, 0));
+        });
+
+        test("fires a once alarm later today or tomorrow", function() {
+            const alarm = create_alarm({ days: ONCE });
+
+            assert.strictEqual(next_occurrence(alarm, local(2026, 10, 19, 6, 0)), local(2026, 10, 19, 7, 0));
+            assert.strictEqual(next_occurrence(alarm, local(2026, 10, 19, 8, 0)), local(2026, 10, 20, 7, 0));
+        });
+    });
+
+    test.describe("weekday masks", function() {
+        // Monday October 19 2026
+        test("skips to the weekend", function() {
+            assert.strictEqual(next_occurrence(create_alarm({ days: WEEKEND }), local(2026, 10, 21, 12, 0)),
+                               local(2026, 10, 24, 7, 0));
+        });
+
+        test("goes from Saturday to Sunday", function() {
+            assert.strictEqual(next_occurrence(create_alarm({ days: WEEKEND }), local(2026, 10, 24, 8, 0)),
+                               local(2026, 10, 25, 7, 0));
+        });
+
+        test("waits for the next weekend after Sunday", function() {
+            assert.strictEqual(next_occurrence(create_alarm({ days: WEEKEND }), local(2026, 10, 25, 8, 0)),
+                               local(2026, 10, 31, 7, 0));
+        });
+
+        test("skips the weekend for working days", function() {
+            assert.strictEqual(next_occurrence(create_alarm({ days: MON_FRI }), local(2026, 10, 23, 8, 0)),
+                               local(2026, 10, 26, 7, 0));
+        });
+
+        test("fires on the same weekday a week later", function() {
+            const alarm = create_alarm({ days: 1 << SAT });
+
+            assert.strictEqual(next_occurrence(alarm, local(2026, 10, 24, 7, 0)), local(2026, 10, 31, 7, 0));
+        });
+
+        test("starts a fade on Saturday evening for a Sunday alarm", function() {
+            const alarm = create_alarm({
+                action:          ACTION_PLAY,
+                days:            1 << SUN,
+                time:            "00:10",
+                transition_type: TRANS_FADING,
+                transition_time: "30"
+            });
+
+            assert.strictEqual(next_occurrence(alarm, local(2026, 10, 24, 12, 0)), local(2026, 10, 24, 23, 40));
+        });
+
+        test("passes skipped dates", function() {
+            const is_skipped = (date) => date.getDate() == 26;
+
+            assert.strictEqual(next_occurrence(create_alarm({ days: MON_FRI }), local(2026, 10, 23, 8, 0), is_skipped),
+                               local(2026, 10, 27, 7, 0));
+        });
+
+        test("gives up when every date is skipped", function() {
+            assert.strictEqual(next_occurrence(create_alarm(), local(2026, 10, 19, 8, 0), () => true), null);
+        });
+    });
+
+    test.describe("relative times", function() {
+        test("counts from the start of the current minute", function() {
+            const alarm = create_alarm({ days: ONCE, time: "+10" });
+
+            assert.strictEqual(next_occurrence(alarm, local(2026, 10, 19, 10, 20, 45)), local(2026, 10, 19, 10, 30));
+        });
+
+        test("crosses midnight and the clocks going back", function() {
+            const alarm = create_alarm({ days: ONCE, time: "in 2 hours" });
+            const now = local(2026, 10, 25, 1, 0);
+
+            // A duration, not a wall clock time
+            assert.strictEqual(next_occurrence(alarm, now), now + 2 * 3600 * 1000);
+        });
+
+        test("supports hours, minutes and seconds", function() {
+            const alarm = create_alarm({ days: ONCE, time: "+1:30:15" });
+
+            assert.strictEqual(next_occurrence(alarm, local(2026, 10, 19, 23, 45)), local(2026, 10, 20, 1, 15, 15));
+        });
+
+        test("isn't valid for a recurring alarm", function() {
+            assert.strictEqual(next_occurrence(create_alarm({ time: "+10" }), local(2026, 10, 19, 8, 0)), null);
+        });
+    });
+
+    test.describe("dates and sun times", function() {
+        test("fires a once alarm with a date on that date only", function() {
+            const alarm = create_alarm({ days: ONCE, date: "2026-12-24" });
+
+            assert.strictEqual(next_occurrence(alarm, local(2026, 10, 19, 8, 0)), local(2026, 12, 24, 7, 0));
+            assert.strictEqual(next_occurrence(alarm, local(2026, 12, 24, 8, 0)), null);
+        });
+
+        test("needs a location for sun times", function() {
+            assert.strictEqual(next_occurrence(create_alarm({ time: "sunrise" }), local(2026, 10, 19, 8, 0)), null);
+        });
+
+        test("fires on a whole minute around sunrise", function() {
+            const next = next_occurrence(create_alarm({ time: "sunrise+0:30" }), local(2026, 10, 19, 12, 0),
+                                         undefined, LOCATION);
+            const date = new Date(next);
+
+            assert.strictEqual(date.getDate(), 20);
+            assert.strictEqual(date.getSeconds(), 0);
+            assert.ok(date.getHours() >= 8 && date.getHours() <= 9);
+        });
+
+        test("rejects an invalid time", function() {
+            assert.strictEqual(next_occurrence(create_alarm({ time: "25:00" }), local(2026, 10, 19, 8, 0)), null);
+        });
+    });
+});
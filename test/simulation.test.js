@@ -0,0 +1,154 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const simulated_clock = require('../simulated-clock');
+const simulated_core = require('../simulated-core');
+const { ACTION_PLAY, DAILY, MON_FRI, WEEKEND, TRANS_FADING, UNIT_MINUTES } = require('../constants');
+
+// The extension itself needs the Roon API packages
+function get_skip_reason() {
+    try {
+        require.resolve('node-roon-api');
+        return false;
+    } catch (err) {
+        return "the node-roon-api packages aren't installed";
+    }
+}
+
+function get_events(extension) {
+    return extension.api_handlers.get_history().body.entries.map((entry) => entry.event);
+}
+
+// Runs a fresh instance of the extension, paired with a simulated Core with one zone
+function run_extension(start_time, cb) {
+    const cwd = process.cwd();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alarm-clock-"));
+    const clock = simulated_clock.create_clock(start_time);
+    const sim = simulated_core.create_core([{
+        zone_id:      "z1",
+        display_name: "Kitchen",
+        outputs:      [{ output_id: "o1", volume: { type: "number", min: 0, max: 100, value: 10, step: 1 } }],
+        queue:        [{ queue_item_id: 1, length: 180 }, { queue_item_id: 2, length: 200 }]
+    }]);
+
+    // The extension keeps its configuration in the working directory
+    process.chdir(dir);
+    clock.install();
+
+    try {
+        delete require.cache[require.resolve('../alarm-clock')];
+
+        const extension = require('../alarm-clock');
+
+        sim.pair(extension.roon);
+        clock.advance(100);
+
+        cb(extension, sim, clock);
+    } finally {
+        clock.uninstall();
+        process.chdir(cwd);
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Days on which a non-repeating alarm fires within two weeks of its creation
+function get_fired_days(start_time, days) {
+    let fired_days = [];
+
+    run_extension(start_time, function(extension, sim, clock) {
+        const created = extension.api_handlers.create_alarm(null, {
+            active: true,
+            zone:   "o1",
+            action: ACTION_PLAY,
+            days:   days,
+            repeat: false,
+            time:   "7:00"
+        });
+
+        assert.strictEqual(created.status, 201);
+
+        clock.advance(14 * 24 * 60 * 60 * 1000);
+
+        extension.api_handlers.get_history().body.entries.forEach(function(entry) {
+            if (entry.event == "fired") {
+                fired_days.push(new Date(entry.time).toDateString());
+            }
+        });
+
+        assert.strictEqual(get_events(extension).slice(-1)[0], "disabled");
+        assert.strictEqual(extension.api_handlers.get_alarm(0).body.settings.active, false);
+    });
+
+    return fired_days;
+}
+
+test("a fading Play alarm stops fading when the volume is turned", { skip: get_skip_reason() }, function() {
+    run_extension("2026-10-19T06:55:00", function(extension, sim, clock) {
+        const created = extension.api_handlers.create_alarm(null, {
+            active:          true,
+            zone:            "o1",
+            action:          ACTION_PLAY,
+            days:            DAILY,
+            repeat:          true,
+            time:            "7:00",
+            volume:          40,
+            transition_type: TRANS_FADING,
+            transition_time: 1,
+            transition_unit: UNIT_MINUTES
+        });
+
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.body.settings.transition_time, "1");
+        // The API has no authentication, it doesn't tell the hook
+        assert.strictEqual(created.body.settings.hook, undefined);
+
+        // The fade starts a minute early, from zero
+        clock.advance_to("2026-10-19T06:59:05");
+        assert.strictEqual(sim.zones[0].state, "playing");
+        assert.ok(sim.zones[0].outputs[0].volume.value < 10);
+
+        clock.advance_to("2026-10-19T06:59:30");
+        const volume = sim.zones[0].outputs[0].volume.value;
+
+        assert.ok(volume > 10 && volume < 40, "volume " + volume + " halfway the fade");
+
+        // Somebody turning the knob takes over
+        sim.turn_volume("o1", 60);
+        clock.advance_to("2026-10-19T07:01:00");
+
+        assert.strictEqual(sim.zones[0].outputs[0].volume.value, 60);
+        assert.deepStrictEqual(get_events(extension).filter((event) => event != "report"),
+                               ["fired", "fade_started", "fade_terminated"]);
+    });
+});
+
+test("a non-repeating alarm fires on every selected day once", { skip: get_skip_reason() }, function() {
+    // Created on a Wednesday
+    assert.deepStrictEqual(get_fired_days("2026-10-21T06:00:00", WEEKEND), ["Sat Oct 24 2026", "Sun Oct 25 2026"]);
+    assert.deepStrictEqual(get_fired_days("2026-10-21T06:00:00", MON_FRI),
+                           ["Wed Oct 21 2026", "Thu Oct 22 2026", "Fri Oct 23 2026", "Mon Oct 26 2026", "Tue Oct 27 2026"]);
+
+    // Created on a Sunday
+    assert.deepStrictEqual(get_fired_days("2026-10-25T06:00:00", WEEKEND), ["Sun Oct 25 2026", "Sat Oct 31 2026"]);
+    assert.deepStrictEqual(get_fired_days("2026-10-25T06:00:00", MON_FRI),
+                           ["Mon Oct 26 2026", "Tue Oct 27 2026", "Wed Oct 28 2026", "Thu Oct 29 2026", "Fri Oct 30 2026"]);
+});
@@ -0,0 +1,70 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { get_sun_time } = require('../sun-times');
+
+const AMSTERDAM = [52.37, 4.9];
+const SYDNEY = [-33.87, 151.21];
+const TROMSO = [69.65, 18.96];
+const MARGIN = 2 * 60 * 1000;   // Published times are rounded to minutes
+
+function assert_near(time, expected) {
+    const difference = Math.abs(time - Date.parse(expected));
+
+    assert.ok(difference <= MARGIN, new Date(time).toISOString() + " isn't near " + expected);
+}
+
+test.describe("get_sun_time", function() {
+    test("matches the published times around the solstices", function() {
+        const june = new Date(2026, 5, 21);
+        const december = new Date(2026, 11, 21);
+
+        assert_near(get_sun_time("sunrise", june, ...AMSTERDAM), "2026-06-21T05:18+02:00");
+        assert_near(get_sun_time("sunset", june, ...AMSTERDAM), "2026-06-21T22:06+02:00");
+        assert_near(get_sun_time("sunrise", december, ...AMSTERDAM), "2026-12-21T08:48+01:00");
+        assert_near(get_sun_time("sunset", december, ...AMSTERDAM), "2026-12-21T16:29+01:00");
+    });
+
+    test("takes the local day east of UTC and south of the equator", function() {
+        const june = new Date(2026, 5, 21);
+
+        assert_near(get_sun_time("sunrise", june, ...SYDNEY), "2026-06-21T07:00+10:00");
+        assert_near(get_sun_time("sunset", june, ...SYDNEY), "2026-06-21T16:54+10:00");
+    });
+
+    test("gives twelve hours of daylight on the equator at the equinox", function() {
+        const equinox = new Date(2026, 2, 20);
+        const sunrise = get_sun_time("sunrise", equinox, 0, 0);
+        const sunset = get_sun_time("sunset", equinox, 0, 0);
+
+        assert_near(sunrise, "2026-03-20T06:04Z");
+        // A little more because of refraction and the size of the sun
+        assert.ok(Math.abs(sunset - sunrise - 12 * 60 * 60 * 1000) < 10 * 60 * 1000);
+    });
+
+    test("returns null during polar day and polar night", function() {
+        assert.strictEqual(get_sun_time("sunrise", new Date(2026, 5, 21), ...TROMSO), null);
+        assert.strictEqual(get_sun_time("sunset", new Date(2026, 5, 21), ...TROMSO), null);
+        assert.strictEqual(get_sun_time("sunrise", new Date(2026, 11, 21), ...TROMSO), null);
+        assert.strictEqual(get_sun_time("sunset", new Date(2026, 11, 21), ...TROMSO), null);
+
+        // Outside of those the sun rises again
+        assert.notStrictEqual(get_sun_time("sunrise", new Date(2026, 2, 20), ...TROMSO), null);
+    });
+});
@@ -0,0 +1,154 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parse_time_string, validate_time_string } = require('../time-string');
+
+// Hours, minutes and seconds of a parsed clock time
+function clock(time_string) {
+    const time = parse_time_string(time_string, false);
+
+    assert.strictEqual(time.error, undefined, time.error);
+    assert.strictEqual(time.relative, false);
+
+    return [time.hours, time.minutes, time.seconds];
+}
+
+function relative(time_string) {
+    const time = parse_time_string(time_string, true);
+
+    assert.strictEqual(time.error, undefined, time.error);
+    assert.strictEqual(time.relative, true);
+
+    return time.friendly;
+}
+
+function error(time_string, allow_relative) {
+    const time = parse_time_string(time_string, allow_relative);
+
+    assert.ok(time.error, "'" + time_string + "' is accepted");
+
+    return time.error;
+}
+
+test.describe("parse_time_string", function() {
+    test.describe("clock times", function() {
+        test("accepts the 24h clock", function() {
+            assert.deepStrictEqual(clock("19:30"), [19, 30, 0]);
+            assert.deepStrictEqual(clock("7:05"), [7, 5, 0]);
+            assert.deepStrictEqual(clock("00:00"), [0, 0, 0]);
+            assert.deepStrictEqual(clock("23:59:59"), [23, 59, 59]);
+        });
+
+        test("accepts digits only", function() {
+            assert.deepStrictEqual(clock("0730"), [7, 30, 0]);
+            assert.deepStrictEqual(clock("073015"), [7, 30, 15]);
+        });
+
+        test("accepts the 12h clock", function() {
+            assert.deepStrictEqual(clock("7am"), [7, 0, 0]);
+            assert.deepStrictEqual(clock("7:30pm"), [19, 30, 0]);
+            assert.deepStrictEqual(clock("7:30 PM"), [19, 30, 0]);
+            assert.deepStrictEqual(clock("12pm"), [12, 0, 0]);
+        });
+
+        test("takes 12 am as midnight", function() {
+            assert.deepStrictEqual(clock("12:00 am"), [0, 0, 0]);
+            assert.deepStrictEqual(clock("12am"), [0, 0, 0]);
+        });
+
+        test("accepts noon and midnight", function() {
+            assert.deepStrictEqual(clock("noon"), [12, 0, 0]);
+            assert.deepStrictEqual(clock(" Midnight "), [0, 0, 0]);
+        });
+
+        test("normalizes the string to show", function() {
+            assert.strictEqual(parse_time_string("7:30pm").friendly, "07:30pm");
+            assert.strictEqual(parse_time_string("073015").friendly, "07:30:15");
+        });
+
+        test("tells which part is wrong", function() {
+            assert.match(error("24:00"), /^Hours should be between 0 and 23/);
+            assert.match(error("7:60"), /^Minutes should be between 00 and 59/);
+            assert.match(error("7:30:60"), /^Seconds should be between 00 and 59/);
+            assert.match(error("7:5"), /^Minutes should have two digits/);
+            assert.match(error("7:30:5"), /^Seconds should have two digits/);
+            assert.match(error("13pm"), /^Hours should be between 1 and 12 when using am or pm/);
+            assert.match(error("0am"), /^Hours should be between 1 and 12 when using am or pm/);
+            assert.match(error("seven"), /isn't a time/);
+        });
+
+        test("asks for a time when blank", function() {
+            assert.match(error(""), /^Enter a time/);
+            assert.match(error("   "), /^Enter a time/);
+        });
+    });
+
+    test.describe("relative times", function() {
+        test("accepts hours and minutes", function() {
+            assert.strictEqual(relative("+1:30"), "+01:30");
+            assert.strictEqual(relative("+1:30:15"), "+01:30:15");
+            assert.strictEqual(relative("+90"), "+01:30");
+        });
+
+        test("accepts units", function() {
+            assert.strictEqual(relative("+90m"), "+01:30");
+            assert.strictEqual(relative("+1h30m"), "+01:30");
+            assert.strictEqual(relative("in 2 hours"), "+02:00");
+            assert.strictEqual(relative("in 1 hour, 5 minutes and 10 seconds"), "+01:05:10");
+        });
+
+        test("goes beyond a day up to a week", function() {
+            assert.strictEqual(relative("+168h"), "+168:00");
+            assert.match(error("+169h", true), /at most 168 hours/);
+        });
+
+        test("tells which part is wrong", function() {
+            assert.match(error("+1:60", true), /^Minutes of a relative time/);
+            assert.match(error("+1:30:60", true), /^Seconds of a relative time/);
+            assert.match(error("in 2 weeks", true), /^Unknown unit 'weeks'/);
+            assert.match(error("in a while", true), /isn't a relative time/);
+        });
+
+        test("is only allowed when asked for", function() {
+            assert.match(error("+1:30", false), /only possible for alarms that fire once/);
+            assert.match(error("in 2 hours", false), /only possible for alarms that fire once/);
+        });
+    });
+
+    test.describe("sun times", function() {
+        test("accepts an offset", function() {
+            assert.deepStrictEqual(parse_time_string("sunrise"),
+                                   { relative: false, sun: "sunrise", offset: 0, friendly: "sunrise" });
+            assert.strictEqual(parse_time_string("sunset-00:30").offset, -30);
+            assert.strictEqual(parse_time_string("Sunrise + 1:15").offset, 75);
+        });
+
+        test("tells which part is wrong", function() {
+            assert.match(error("sunrise+13:00"), /at most 12 hours/);
+            assert.match(error("sunrise+1:60"), /^Minutes of the offset/);
+            assert.match(error("sunset 10"), /should be like sunset-00:30/);
+        });
+    });
+});
+
+test("validate_time_string returns null for an invalid time", function() {
+    assert.strictEqual(validate_time_string("25:00"), null);
+    assert.strictEqual(validate_time_string("+1:30", false), null);
+    assert.strictEqual(validate_time_string("7am").hours, 7);
+});
@@ -0,0 +1,183 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const simulated_clock = require('../simulated-clock');
+const { create_registry } = require('../zone-waiters');
+
+// Records the calls of the callbacks
+function create_recorder() {
+    let calls = [];
+
+    return {
+        calls: calls,
+        cb: function(name) {
+            return function(...args) {
+                calls.push([name].concat(args.map((arg) => (arg && arg.zone_id ? arg.zone_id : arg))));
+            };
+        }
+    };
+}
+
+test.describe("zone waiters", function() {
+    test("calls the waiters that match a zone change once", function() {
+        const registry = create_registry();
+        const recorder = create_recorder();
+
+        registry.add("z1", { state: "playing" }, recorder.cb("playing"), { index: 0 });
+        registry.add("z1", { state: "paused" }, recorder.cb("paused"), { index: 1 });
+        registry.add("z2", { state: "playing" }, recorder.cb("other zone"), { index: 2 });
+
+        registry.zone_changed({ zone_id: "z1", state: "playing" });
+        registry.zone_changed({ zone_id: "z1", state: "playing" });
+
+        assert.deepStrictEqual(recorder.calls, [["playing", "z1", 0]]);
+    });
+
+    test("matches one of several conditions, on all their properties", function() {
+        const registry = create_registry();
+        const recorder = create_recorder();
+
+        registry.add("z1", [{ state: "stopped" }, { state: "paused", is_play_allowed: true }], recorder.cb("halted"));
+
+        registry.zone_changed({ zone_id: "z1", state: "paused", is_play_allowed: false });
+        assert.deepStrictEqual(recorder.calls, []);
+
+        registry.zone_changed({ zone_id: "z1", state: "paused", is_play_allowed: true });
+        assert.deepStrictEqual(recorder.calls, [["halted", "z1", undefined]]);
+    });
+
+    test("allows a seek position to be one second off", function() {
+        const registry = create_registry();
+        const recorder = create_recorder();
+
+        registry.add("z1", { now_playing: { seek_position: 10 } }, recorder.cb("seeked"));
+
+        registry.zone_changed({ zone_id: "z1", now_playing: { seek_position: 12 } });
+        registry.zone_changed({ zone_id: "z1" });
+        registry.zone_changed({ zone_id: "z1", now_playing: { seek_position: 11 } });
+
+        assert.deepStrictEqual(recorder.calls, [["seeked", "z1", undefined]]);
+    });
+
+    test("only matches a waiter registered from a callback on a later change", function() {
+        const registry = create_registry();
+        const recorder = create_recorder();
+
+        registry.add("z1", { state: "playing" }, function() {
+            registry.add("z1", { state: "playing" }, recorder.cb("follow-up"));
+        });
+
+        registry.zone_changed({ zone_id: "z1", state: "playing" });
+        assert.deepStrictEqual(recorder.calls, []);
+
+        registry.zone_changed({ zone_id: "z1", state: "playing" });
+        assert.deepStrictEqual(recorder.calls, [["follow-up", "z1", undefined]]);
+    });
+
+    test("cancels waiters by index, kind and zone", function() {
+        const registry = create_registry();
+        const recorder = create_recorder();
+
+        registry.add("z1", { state: "playing" }, recorder.cb("a"), { index: 0, kind: "snooze" });
+        registry.add("z1", { state: "playing" }, recorder.cb("b"), { index: 0 });
+        registry.add("z1", { state: "playing" }, recorder.cb("c"), { index: 1 });
+        registry.add("z2", { state: "playing" }, recorder.cb("d"), { index: 1 });
+
+        registry.cancel({ index: 0, kind: "snooze" });
+        registry.cancel({ zone_id: "z2" });
+        registry.zone_changed({ zone_id: "z1", state: "playing" });
+        registry.zone_changed({ zone_id: "z2", state: "playing" });
+
+        assert.deepStrictEqual(recorder.calls, [["b", "z1", 0], ["c", "z1", 1]]);
+    });
+
+    test("moves the index up when an alarm above it is removed", function() {
+        const registry = create_registry();
+        const recorder = create_recorder();
+
+        registry.add("z1", { state: "playing" }, recorder.cb("first"), { index: 0 });
+        registry.add("z1", { state: "playing" }, recorder.cb("third"), { index: 2 });
+
+        registry.shift(1);
+        registry.cancel({ index: 2 });
+        registry.zone_changed({ zone_id: "z1", state: "playing" });
+
+        assert.deepStrictEqual(recorder.calls, [["first", "z1", 0], ["third", "z1", 1]]);
+    });
+
+    test.describe("timeouts", function() {
+        let clock;
+
+        test.beforeEach(function() {
+            clock = simulated_clock.create_clock("2026-10-19T07:00:00");
+            clock.install();
+        });
+
+        test.afterEach(function() {
+            clock.uninstall();
+        });
+
+        test("calls on_timeout instead once the time is up", function() {
+            const registry = create_registry();
+            const recorder = create_recorder();
+
+            registry.add("z1", { state: "playing" }, recorder.cb("playing"),
+                         { index: 3, timeout: 30, on_timeout: recorder.cb("timeout") });
+
+            clock.advance(29 * 1000);
+            assert.deepStrictEqual(recorder.calls, []);
+
+            clock.advance(1000);
+            registry.zone_changed({ zone_id: "z1", state: "playing" });
+
+            assert.deepStrictEqual(recorder.calls, [["timeout", 3]]);
+        });
+
+        test("clears the timeout of a waiter that is called, removed or cancelled", function() {
+            const registry = create_registry();
+            const recorder = create_recorder();
+            const options = { timeout: 30, on_timeout: recorder.cb("timeout") };
+
+            const called = registry.add("z1", { state: "playing" }, recorder.cb("playing"), options);
+            const removed = registry.add("z1", { state: "paused" }, recorder.cb("paused"), options);
+            const cancelled = registry.add("z2", { state: "paused" }, recorder.cb("paused"), options);
+
+            registry.zone_changed({ zone_id: "z1", state: "playing" });
+            registry.remove(removed);
+            registry.cancel({ zone_id: "z2" });
+            clock.advance(60 * 1000);
+
+            assert.deepStrictEqual(recorder.calls, [["playing", "z1", undefined]]);
+            [called, removed, cancelled].forEach((waiter) => assert.strictEqual(waiter.timeout_id, null));
+        });
+
+        test("passes the shifted index to on_timeout", function() {
+            const registry = create_registry();
+            const recorder = create_recorder();
+
+            registry.add("z1", { state: "playing" }, recorder.cb("playing"),
+                         { index: 2, timeout: 30, on_timeout: recorder.cb("timeout") });
+
+            registry.shift(0);
+            clock.advance(30 * 1000);
+
+            assert.deepStrictEqual(recorder.calls, [["timeout", 1]]);
+        });
+    });
+});
@@ -0,0 +1,198 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const MAX_RELATIVE_HOURS = 7 * 24;
+const MAX_SUN_OFFSET = 12;  // Hours
+
+// Seconds per unit of a duration like +1h30m or 'in 2 hours'
+const UNITS = {
+    h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+    m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+    s: 1, sec: 1, secs: 1, second: 1, seconds: 1
+};
+
+const NAMED_TIMES = { noon: "12:00", midnight: "00:00" };
+
+function pad(number) {
+    return (number < 10 ? "0" : "") + number;
+}
+
+// Formats: 19:30, 7:30pm, 0730, 7am, noon, +1:30, +90m, in 2 hours and sunrise|sunset[+|-hh:mm],
+// an invalid time gives an error that tells which part is wrong
+function parse_time_string(time_string, allow_relative) {
+    const text = ("" + time_string).trim().toLowerCase();
+    const sun_time = text.match(/^(sunrise|sunset)(.*)$/);
+
+    if (!text) {
+        return { error: "Enter a time, like 7:30, 7am or 19:30." };
+    } else if (sun_time) {
+        return parse_sun_time(sun_time[1], sun_time[2].trim());
+    } else if (text.charAt(0) == "+" || /^in\s/.test(text)) {
+        if (!allow_relative) {
+            return { error: "Relative times ('+' or 'in') are only possible for alarms that fire once." };
+        }
+
+        return parse_relative_time(text);
+    }
+
+    return parse_clock_time(NAMED_TIMES[text] || text, time_string);
+}
+
+function validate_time_string(time_string, allow_relative) {
+    const time = parse_time_string(time_string, allow_relative);
+
+    return (time.error ? null : time);
+}
+
+function parse_clock_time(text, time_string) {
+    let match;
+    let hours;
+    let minutes;
+    let seconds;
+    let am_pm;
+
+    if ((match = text.match(/^(\d{1,2}):(\d+)(?::(\d+))?\s*(am|pm)?$/))) {
+        [hours, minutes, seconds, am_pm] = match.slice(1);
+
+        if (minutes.length != 2) {
+            return { error: "Minutes should have two digits, like 7:05." };
+        } else if (seconds != null && seconds.length != 2) {
+            return { error: "Seconds should have two digits, like 7:05:09." };
+        }
+    } else if ((match = text.match(/^(\d{1,2})\s*(am|pm)$/))) {
+        [hours, am_pm] = match.slice(1);
+        minutes = "00";
+    } else if ((match = text.match(/^(\d{2})(\d{2})(\d{2})?$/))) {
+        [hours, minutes, seconds] = match.slice(1);
+    } else {
+        return { error: "'" + time_string + "' isn't a time, use a format like 19:30, 7:30:15, 7:30pm, 7am, 0730 or noon." };
+    }
+
+    if (am_pm && (hours < 1 || hours > 12)) {
+        return { error: "Hours should be between 1 and 12 when using am or pm." };
+    } else if (hours > 23) {
+        return { error: "Hours should be between 0 and 23." };
+    } else if (minutes > 59) {
+        return { error: "Minutes should be between 00 and 59." };
+    } else if (seconds > 59) {
+        return { error: "Seconds should be between 00 and 59." };
+    }
+
+    // Create human readable string
+    const friendly = pad(+hours) + ":" + minutes + (seconds != null ? ":" + seconds : "") + (am_pm || "");
+
+    // Convert to 24h clock type
+    hours = +hours;
+
+    if (am_pm == "am" && hours == 12) {
+        hours -= 12;
+    } else if (am_pm == "pm" && hours < 12) {
+        hours += 12;
+    }
+
+    return {
+        relative: false,
+        hours:    hours,
+        minutes:  +minutes,
+        seconds:  +(seconds || 0),
+        friendly: friendly
+    };
+}
+
+function parse_relative_time(text) {
+    let match;
+    let total;
+
+    if ((match = text.match(/^\+(\d+):(\d+)(?::(\d+))?$/))) {
+        const [hours, minutes, seconds] = match.slice(1);
+
+        if (minutes.length != 2 || minutes > 59) {
+            return { error: "Minutes of a relative time should be two digits between 00 and 59." };
+        } else if (seconds != null && (seconds.length != 2 || seconds > 59)) {
+            return { error: "Seconds of a relative time should be two digits between 00 and 59." };
+        }
+
+        total = (+hours * 60 + +minutes) * 60 + +(seconds || 0);
+    } else if ((match = text.match(/^\+(\d+)$/))) {
+        // Plain number of minutes
+        total = +match[1] * 60;
+    } else {
+        const duration = text.replace(/^(\+|in\s)/, "").replace(/,|\band\b/g, " ");
+        const part_pattern = /(\d+)\s*([a-z]+)/g;
+        let parts = 0;
+
+        total = 0;
+
+        while ((match = part_pattern.exec(duration))) {
+            if (!UNITS[match[2]]) {
+                return { error: "Unknown unit '" + match[2] + "' in relative time, use h, m or s." };
+            }
+
+            total += +match[1] * UNITS[match[2]];
+            parts++;
+        }
+
+        if (!parts || duration.replace(part_pattern, "").trim()) {
+            return { error: "'" + text + "' isn't a relative time, use a format like +1:30, +90m, +1h30m or in 2 hours." };
+        }
+    }
+
+    if (total > MAX_RELATIVE_HOURS * 3600) {
+        return { error: "A relative time can be at most " + MAX_RELATIVE_HOURS + " hours." };
+    }
+
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    const seconds = total % 60;
+
+    return {
+        relative: true,
+        hours:    hours,
+        minutes:  minutes,
+        seconds:  seconds,
+        friendly: "+" + pad(hours) + ":" + pad(minutes) + (seconds ? ":" + pad(seconds) : "")
+    };
+}
+
+function parse_sun_time(event, offset_string) {
+    let friendly = event;
+    let offset = 0;
+
+    if (offset_string) {
+        const match = offset_string.match(/^([+-])\s*(\d{1,2}):(\d{2})$/);
+
+        if (!match) {
+            return { error: "The offset of " + event + " should be like " + event + "-00:30 or " + event + "+1:15." };
+        } else if (match[2] > MAX_SUN_OFFSET) {
+            return { error: "The offset of " + event + " can be at most " + MAX_SUN_OFFSET + " hours." };
+        } else if (match[3] > 59) {
+            return { error: "Minutes of the offset should be between 00 and 59." };
+        }
+
+        offset = (match[1] == "-" ? -1 : 1) * (match[2] * 60 + +match[3]);
+        friendly += match[1] + pad(+match[2]) + ":" + match[3];
+    }
+
+    return {
+        relative: false,
+        sun:      event,
+        offset:   offset,
+        friendly: friendly
+    };
+}
+
+exports.parse_time_string    = parse_time_string;
+exports.validate_time_string = validate_time_string;
@@ -0,0 +1,117 @@
+// Copyright 2017 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+// Waiters match an object of zone properties, or one of an array of them, and are removed once called.
+// Options index and kind tag a waiter for cancellation, after timeout seconds on_timeout is called instead.
+// The callbacks get the index, which follows shift() when an alarm above it is removed.
+function create_registry() {
+    let waiters = [];
+
+    function remove(waiter) {
+        if (waiter && waiter.timeout_id != null) {
+            clearTimeout(waiter.timeout_id);
+            waiter.timeout_id = null;
+        }
+
+        waiters = waiters.filter((w) => w !== waiter);
+    }
+
+    return {
+        add: function(zone_id, conditions, cb, options) {
+            options = options || {};
+
+            let waiter = {
+                zone_id:    zone_id,
+                conditions: (Array.isArray(conditions) ? conditions : [conditions]),
+                cb:         cb,
+                index:      options.index,
+                kind:       options.kind,
+                timeout_id: null
+            };
+
+            if (options.timeout > 0) {
+                waiter.timeout_id = setTimeout(function() {
+                    waiter.timeout_id = null;
+                    remove(waiter);
+
+                    if (options.on_timeout) {
+                        options.on_timeout(waiter.index);
+                    }
+                }, options.timeout * 1000);
+            }
+
+            waiters.push(waiter);
+
+            return waiter;
+        },
+        remove: remove,
+        cancel: function(filter) {
+            // Without a filter all waiters are cancelled
+            filter = filter || {};
+
+            waiters.filter(function(waiter) {
+                return ((filter.index === undefined || filter.index == waiter.index) &&
+                        (filter.kind === undefined || filter.kind == waiter.kind) &&
+                        (filter.zone_id === undefined || filter.zone_id == waiter.zone_id));
+            }).forEach(remove);
+        },
+        shift: function(index) {
+            // The alarm at index is removed, the ones after it move up
+            waiters.forEach(function(waiter) {
+                if (waiter.index > index) {
+                    waiter.index--;
+                }
+            });
+        },
+        zone_changed: function(zone) {
+            // Waiters registered from a callback only match on later changes
+            const matched = waiters.filter(function(waiter) {
+                return (waiter.zone_id == zone.zone_id &&
+                        waiter.conditions.some((properties) => matches(properties, zone)));
+            });
+
+            matched.forEach(function(waiter) {
+                // Skip waiters cancelled by an earlier callback
+                if (waiters.includes(waiter)) {
+                    // Remove before the callback, which may register a follow-up waiter
+                    remove(waiter);
+                    waiter.cb(zone, waiter.index);
+                }
+            });
+        }
+    };
+}
+
+function matches(properties, zone) {
+    for (const property in properties) {
+        if (property == "now_playing") {
+            const seek_position = properties.now_playing.seek_position;
+
+            // Sometimes a seek_position is missed by the API, allow 1 off
+            if (!zone.now_playing ||
+                (seek_position != zone.now_playing.seek_position &&
+                 seek_position + 1 != zone.now_playing.seek_position)) {
+                return false;
+            }
+        } else if (properties[property] != zone[property]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+exports.create_registry = create_registry;